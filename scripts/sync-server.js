@@ -0,0 +1,64 @@
+/* =============================
+   Локальный сервер для проверки синхронизации (npm run sync-server)
+   Хранит один JSON-документ: GET отдаёт его (404 — пока пусто), PUT заменяет.
+   ETag и If-Match / If-None-Match: * — как у WebDAV: запись поверх чужой — 412.
+   В приложении: тип «HTTP (JSON)», адрес http://localhost:8787/sync.json
+   Порт и файл: node scripts/sync-server.js [порт] [файл]
+============================= */
+import http from "node:http";
+import fs from "node:fs";
+import process from "node:process";
+import { createHash } from "node:crypto";
+
+const port = Number(process.argv[2]) || 8787;
+const file = process.argv[3] || null; // без файла — только в памяти
+
+let doc = file && fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+const etagOf = (body) => `"${createHash("sha1").update(body).digest("hex")}"`;
+
+// условие записи не выполнено: документ уже другой (или уже есть)
+function preconditionFailed(req) {
+  const ifMatch = req.headers["if-match"];
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifMatch) return doc == null || (ifMatch !== "*" && ifMatch !== etagOf(doc));
+  return ifNoneMatch === "*" && doc != null;
+}
+
+const cors = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, If-Match, If-None-Match",
+  "Access-Control-Expose-Headers": "ETag",
+};
+
+http
+  .createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, cors).end();
+    } else if (req.method === "GET") {
+      if (doc == null) res.writeHead(404, cors).end();
+      else res.writeHead(200, { ...cors, "Content-Type": "application/json", ETag: etagOf(doc) }).end(doc);
+    } else if (req.method === "PUT") {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        try {
+          JSON.parse(body);
+        } catch {
+          res.writeHead(400, cors).end();
+          return;
+        }
+        if (preconditionFailed(req)) {
+          res.writeHead(412, cors).end();
+          return;
+        }
+        doc = body;
+        if (file) fs.writeFileSync(file, doc);
+        console.log(`${new Date().toLocaleTimeString()} PUT ${req.url}: ${body.length} байт`);
+        res.writeHead(204, { ...cors, ETag: etagOf(doc) }).end();
+      });
+    } else {
+      res.writeHead(405, cors).end();
+    }
+  })
+  .listen(port, () => console.log(`Сервер синхронизации: http://localhost:${port}/sync.json`));
@@ -1,180 +1,138 @@
 import React, { useEffect, useState, useRef, useCallback } from "react";
-import JSZip from "jszip";
 
-import * as Unrar from "node-unrar-js";
-import unrarWasmUrl from "node-unrar-js/esm/js/unrar.wasm?url";
-
-// Совместимые хелперы (под разные версии)
-const createExtractorFromData =
-  Unrar.createExtractorFromData || Unrar.default?.createExtractorFromData;
-const setOptions =
-  Unrar.setOptions || Unrar.default?.setOptions;
-
-// Передаём URL wasm (если метод доступен)
-setOptions?.({ wasmBinaryUrl: unrarWasmUrl });
-
-
-/* =============================
-   IndexedDB (без авторизации)
-============================= */
-const DB_NAME = "speedreader-db";
-const DB_VERSION = 1;
-const STORES = { BOOKS: "books" };
-let dbPromise = null;
-
-const getDB = () => {
-  if (!dbPromise) {
-    dbPromise = new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME, DB_VERSION);
-      req.onerror = () => reject(req.error || new Error("IndexedDB error"));
-      req.onsuccess = () => resolve(req.result);
-      req.onupgradeneeded = (e) => {
-        const db = e.target.result;
-        if (!db.objectStoreNames.contains(STORES.BOOKS)) {
-          db.createObjectStore(STORES.BOOKS, { keyPath: "id", autoIncrement: true });
-        }
-      };
-    });
-  }
-  return dbPromise;
-};
-
-const db = {
-  async getAll(store) {
-    const inst = await getDB();
-    return new Promise((res, rej) => {
-      const tx = inst.transaction(store, "readonly");
-      const r = tx.objectStore(store).getAll();
-      r.onsuccess = () => res(r.result || []);
-      r.onerror = () => rej(r.error);
-    });
-  },
-  async put(store, val) {
-    const inst = await getDB();
-    return new Promise((res, rej) => {
-      const tx = inst.transaction(store, "readwrite");
-      const r = tx.objectStore(store).put(val);
-      r.onsuccess = () => res(r.result);
-      r.onerror = () => rej(r.error);
-    });
-  },
-  async delete(store, key) {
-    const inst = await getDB();
-    return new Promise((res, rej) => {
-      const tx = inst.transaction(store, "readwrite");
-      const r = tx.objectStore(store).delete(key);
-      r.onsuccess = () => res();
-      r.onerror = () => rej(r.error);
-    });
-  },
-};
-
-/* =============================
-   FB2: декодирование и парсинг
-============================= */
-function decodeFB2(arrayBuffer) {
-  const utf8 = new TextDecoder("utf-8", { fatal: false }).decode(arrayBuffer);
-  const win = new TextDecoder("windows-1251", { fatal: false }).decode(arrayBuffer);
-  const utf8Cyr = (utf8.match(/[а-яА-ЯёЁ]/g) || []).length;
-  const winCyr = (win.match(/[а-яА-ЯёЁ]/g) || []).length;
-  return winCyr > utf8Cyr * 2 ? win : utf8;
-}
-
-function parseFB2Text(xmlText) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlText, "application/xml");
-  if (doc.querySelector("parsererror")) throw new Error("Invalid FB2");
-  const bodies = doc.getElementsByTagName("body");
-  if (!bodies.length) return (doc.documentElement && doc.documentElement.textContent) || "";
-
-  const nodes = [];
-  for (let b of bodies) {
-    nodes.push(
-      ...Array.from(b.querySelectorAll("p, title, subtitle, epigraph, poem, v"))
-        .map((n) => n.textContent.trim())
-        .filter(Boolean)
-    );
-  }
-  return nodes.join(" \n\n ");
-}
+import { db, STORES, deleteBook } from "./db";
+import { DEFAULT_TIMING, TIMING_FIELDS, createTimingEngine, startTicker } from "./timing";
+import {
+  DEFAULT_DRILLS,
+  DRILL_TOGGLES,
+  MASK_RATE_MIN,
+  MASK_RATE_MAX,
+  MASK_RATE_STEP,
+  applyDrills,
+} from "./drills";
+import { SEARCH_RESULTS_LIMIT, buildSearchIndex, searchWords, contextAround } from "./search";
+import { createSessionTracker, comprehensionPercent } from "./stats";
+import {
+  DEFAULT_COMPREHENSION,
+  COMPREHENSION_INTERVALS,
+  buildQuiz,
+  quizCheckpoint,
+  scoreQuiz,
+  isQuizAnswered,
+} from "./comprehension";
+import { restoreBackup } from "./backup";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  pickReaderSettings,
+  effectiveSettings,
+  loadPresets,
+  savePresets,
+  upsertPreset,
+  stepSetting,
+  pickTiming,
+  pickComprehension,
+} from "./settings";
+import { eventToCombo, loadKeymap, saveKeymap, commandForCombo } from "./keymap";
+import { LONG_PRESS_MS, TAP_SLOP_PX, loadGestures, saveGestures, tapZone, swipeSteps } from "./gestures";
+import {
+  TRAINING_PRESETS,
+  DEFAULT_PROGRAM,
+  isPreset,
+  normalizeProgram,
+  startTraining,
+  nextTrainingStep,
+  rampWpm,
+} from "./training";
+import {
+  TOKEN_FLAGS,
+  SENTENCE_BOUNDARY,
+  PARAGRAPH_BOUNDARY,
+  hasFlag,
+  nextUnitStart,
+  prevUnitStart,
+} from "./tokens";
+import { CHUNK_MODES, nextChunkStart, prevChunkStart, chunkAt } from "./chunking";
+import { loadSyncConfig, saveSyncConfig, isSyncReady, syncLibrary, pushOnExit } from "./sync";
+import { btnClass, formatDuration, formatTrainingSummary } from "./components/ui";
+import ShortcutsOverlay from "./components/ShortcutsOverlay";
+import StatsView from "./components/StatsView";
+import AssessmentView from "./components/AssessmentView";
+import QuizQuestions from "./components/QuizQuestions";
+import TrainingProgramEditor from "./components/TrainingProgramEditor";
+import ExercisesView from "./components/ExercisesView";
+import CenterGuide from "./components/CenterGuide";
+import BackupPanel from "./components/BackupPanel";
+import SyncPanel from "./components/SyncPanel";
+import GestureSettings from "./components/GestureSettings";
+import ImportStatusPanel from "./components/ImportStatusPanel";
+import ArchivePickDialog from "./components/ArchivePickDialog";
 
 /* =============================
    Хук скорочтения (шаг — символами или парами)
 ============================= */
-function useSpeedReader(words, wpm, charLimit, stepSize = 1) {
+function useSpeedReader(
+  words,
+  wpm,
+  charLimit,
+  stepSize = 1,
+  timing = DEFAULT_TIMING,
+  isParagraphEnd,
+  chunkMode = "chars"
+) {
   const [position, setPosition] = useState(0); // индекс текущего слова (или начала пары)
   const [isPlaying, setIsPlaying] = useState(false);
-  const intervalRef = useRef(null);
+  const stopTickerRef = useRef(null);
+
+  const positionRef = useRef(position);
+  useEffect(() => { positionRef.current = position; }, [position]);
 
   const stopInterval = useCallback(() => {
-    if (intervalRef.current) clearInterval(intervalRef.current);
-    intervalRef.current = null;
+    stopTickerRef.current?.();
+    stopTickerRef.current = null;
   }, []);
 
-  // Собираем текстовый фрагмент длиной не более charLimit символов, целыми словами
-  const getChunkText = useCallback(() => {
-    if (words.length === 0) return "";
-    let buffer = [];
-    let totalChars = 0;
-    let i = position;
-
-    while (i < words.length) {
-      const w = words[i];
-      const wLen = w.length + 1; // слово + пробел
-      if (totalChars + wLen > charLimit) {
-        if (buffer.length === 0) {
-          buffer.push(w);
-          i++;
-        }
-        break;
-      }
-      buffer.push(w);
-      totalChars += wLen;
-      i++;
-    }
-    return buffer.join(" ");
-  }, [words, position, charLimit]);
+  // веса слов пересчитываем только при смене книги/коэффициентов, WPM — множитель
+  const timingEngine = React.useMemo(
+    () => createTimingEngine(words, timing, isParagraphEnd),
+    [words, timing, isParagraphEnd]
+  );
 
-  const displayedText = getChunkText();
+  // Фрагмент с текущей позиции (см. chunking.js);
+  // chunkEnd — индекс первого слова после показанного фрагмента
+  const { text: displayedText, end: chunkEnd } = React.useMemo(
+    () => chunkAt(words, position, charLimit, chunkMode, isParagraphEnd),
+    [words, position, charLimit, chunkMode, isParagraphEnd]
+  );
 
-  // Автопролистывание
+  // Автопролистывание: каждый фрагмент висит столько, сколько «весят» его слова
   useEffect(() => {
     if (!isPlaying || words.length === 0) {
       stopInterval();
       return;
     }
-    const msPerChunk = Math.max(1, Math.round(60000 / Math.max(1, wpm)));
     stopInterval();
 
-    intervalRef.current = setInterval(() => {
-      setPosition((p) => {
-        let next = p;
-        if (stepSize === 1) {
-          // режим «по символам» (старый)
-          let totalChars = 0;
-          while (next < words.length) {
-            const len = words[next].length + 1;
-            if (totalChars + len > charLimit) break;
-            totalChars += len;
-            next++;
-          }
-          if (next === p) next = Math.min(words.length, p + 1);
-        } else {
-          // режим «парами»
-          next = Math.min(words.length, p + stepSize);
-        }
+    const nextStart = (p) =>
+      stepSize !== 1
+        ? Math.min(words.length, p + stepSize) // режим «парами»
+        : nextChunkStart(words, p, charLimit, chunkMode, isParagraphEnd);
+    const delayAt = (p) => timingEngine.rangeDelay(p, nextStart(p), wpm);
 
-        if (next >= words.length) {
-          stopInterval();
-          setIsPlaying(false);
-          return p;
-        }
-        return next;
-      });
-    }, msPerChunk);
+    stopTickerRef.current = startTicker(delayAt(positionRef.current), () => {
+      const next = nextStart(positionRef.current);
+      if (next >= words.length) {
+        setIsPlaying(false);
+        return null;
+      }
+      positionRef.current = next;
+      setPosition(next);
+      return delayAt(next);
+    });
 
     return () => stopInterval();
-  }, [isPlaying, wpm, charLimit, words, stepSize, stopInterval]);
+  }, [isPlaying, wpm, charLimit, chunkMode, isParagraphEnd, words, stepSize, timingEngine, stopInterval]);
 
   const togglePlay = useCallback(() => {
     if (words.length > 0) setIsPlaying((s) => !s);
@@ -194,19 +152,67 @@ function useSpeedReader(words, wpm, charLimit, stepSize = 1) {
     position,
     isPlaying,
     displayedText,
+    chunkEnd,
     togglePlay,
     resetPosition,
     jumpToPosition,
     setIsPlaying,
     setPosition,
+    timingEngine,
   };
 }
 
 /* =============================
    Список книг (главная)
 ============================= */
-function BooksView({ books, onFileUpload, onOpenBook, onDeleteBook, isDark, toggleTheme }) {
+// Позиция изменилась и здесь, и на другом устройстве — спрашиваем, какую оставить
+const confirmSyncConflict = ({ book, remote }) =>
+  window.confirm(
+    `«${book.title}»: позицию меняли и здесь, и на другом устройстве.\n\n` +
+      `Здесь: слово ${(book.progress || 0) + 1}\n` +
+      `На другом устройстве: слово ${remote.progress + 1} (${new Date(remote.updatedAt).toLocaleString("ru-RU")})\n\n` +
+      "ОК — взять позицию с другого устройства, Отмена — оставить здешнюю."
+  )
+    ? "remote"
+    : "local";
+
+function BooksView({
+  books,
+  wpm,
+  onFileUpload,
+  onOpenBook,
+  onDeleteBook,
+  importState,
+  onImportFromArchive,
+  onCancelImport,
+  onCloseImport,
+  onOpenStats,
+  onOpenExercises,
+  onRestoreBackup,
+  syncConfig,
+  onSaveSyncConfig,
+  syncState,
+  onSync,
+  isDark,
+  toggleTheme,
+}) {
   const fileRef = useRef(null);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+
+  // обложки и аннотации — отдельно от метаданных (STORES.DETAILS), перечитываем при смене списка
+  const [details, setDetails] = useState({});
+  const bookIds = books.map((b) => b.id).join();
+  useEffect(() => {
+    let cancelled = false;
+    db.getAll(STORES.DETAILS)
+      .then((all) => !cancelled && setDetails(Object.fromEntries(all.map((d) => [d.id, d]))))
+      .catch((e) => console.error("Не удалось загрузить обложки:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [bookIds]);
+
   return (
     <div
       className="min-h-screen flex flex-col items-center p-4 transition-colors duration-300"
@@ -218,10 +224,35 @@ function BooksView({ books, onFileUpload, onOpenBook, onDeleteBook, isDark, togg
           <button
             onClick={() => fileRef.current?.click()}
             className="px-3 py-2 rounded bg-green-600 hover:bg-green-500 text-white"
+            disabled={importState?.status === "running" || importState?.status === "picking"}
           >
             Загрузить книгу
           </button>
 
+          <button onClick={onOpenStats} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+            📊 Статистика
+          </button>
+
+          <button onClick={onOpenExercises} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+            🎯 Упражнения
+          </button>
+
+          <button
+            onClick={() => setShowBackup((v) => !v)}
+            className={`px-3 py-2 rounded ${showBackup ? "bg-blue-600 text-white" : "bg-gray-700"} hover:bg-gray-600`}
+            aria-pressed={showBackup}
+          >
+            💾 Копия
+          </button>
+
+          <button
+            onClick={() => setShowSync((v) => !v)}
+            className={`px-3 py-2 rounded ${showSync ? "bg-blue-600 text-white" : "bg-gray-700"} hover:bg-gray-600`}
+            aria-pressed={showSync}
+          >
+            🔄 Синхронизация
+          </button>
+
           <button onClick={toggleTheme} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
             {isDark ? "☀️ День" : "🌙 Ночь"}
           </button>
@@ -229,11 +260,11 @@ function BooksView({ books, onFileUpload, onOpenBook, onDeleteBook, isDark, togg
           <input
             ref={fileRef}
             type="file"
-            accept=".fb2,.zip,.rar"
+            accept=".fb2,.epub,.zip,.rar"
             className="hidden"
-            onChange={async (e) => {
+            onChange={(e) => {
               if (e.target.files?.[0]) {
-                await onFileUpload(e.target.files[0]);
+                onFileUpload(e.target.files[0]);
                 e.target.value = "";
               }
             }}
@@ -242,6 +273,37 @@ function BooksView({ books, onFileUpload, onOpenBook, onDeleteBook, isDark, togg
       </header>
 
       <main className="w-full max-w-4xl mx-auto">
+        {showBackup && <BackupPanel onRestore={onRestoreBackup} isDark={isDark} />}
+        {showSync && (
+          <SyncPanel
+            config={syncConfig}
+            onSaveConfig={onSaveSyncConfig}
+            syncState={syncState}
+            onSync={onSync}
+            isDark={isDark}
+          />
+        )}
+
+        {importState?.status === "picking" && (
+          <ArchivePickDialog
+            key={importState.fileName}
+            fileName={importState.fileName}
+            entries={importState.entries}
+            onImport={onImportFromArchive}
+            onCancel={onCancelImport}
+            isDark={isDark}
+          />
+        )}
+
+        {importState && importState.status !== "picking" && (
+          <ImportStatusPanel
+            state={importState}
+            onCancel={onCancelImport}
+            onClose={onCloseImport}
+            isDark={isDark}
+          />
+        )}
+
         <section
           className={`p-4 rounded-lg transition-colors duration-300 ${
             isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
@@ -255,24 +317,60 @@ function BooksView({ books, onFileUpload, onOpenBook, onDeleteBook, isDark, togg
               </li>
             )}
             {books.map((b) => {
-              const percent =
-                b.words && b.words.length
-                  ? ((Math.max(0, Math.min(b.progress || 0, b.words.length - 1)) / b.words.length) * 100).toFixed(1)
-                  : "0.0";
+              const total = b.wordCount || 0;
+              const pos = Math.max(0, Math.min(b.progress || 0, total - 1));
+              const percent = total ? ((pos / total) * 100).toFixed(1) : "0.0";
+              const left = Math.max(0, total - pos);
+              const { cover, annotation } = details[b.id] || {};
               return (
                 <li
                   key={b.id}
-                  className={`flex items-center justify-between p-3 rounded transition-colors ${
+                  className={`flex gap-4 p-3 rounded transition-colors ${
                     isDark ? "bg-gray-700 hover:bg-gray-600" : "bg-gray-200 hover:bg-gray-300 text-gray-900"
                   }`}
                 >
-                  <div className="min-w-0">
+                  {/* Обложка */}
+                  <div
+                    className="flex-shrink-0 rounded overflow-hidden flex items-center justify-center"
+                    style={{ width: 72, height: 104, background: isDark ? "#374151" : "#d1d5db" }}
+                  >
+                    {cover ? (
+                      <img
+                        src={cover}
+                        alt=""
+                        style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                      />
+                    ) : (
+                      <span aria-hidden="true" style={{ fontSize: 32 }}>📖</span>
+                    )}
+                  </div>
+
+                  <div className="min-w-0 flex-1 text-left">
                     <div className="truncate font-medium">{b.title}</div>
-                    {b.words?.length > 0 && (
-                      <div className="text-xs opacity-75 mt-1">Прочитано: {percent}%</div>
+                    {b.author && <div className="truncate text-sm opacity-75">{b.author}</div>}
+                    {annotation && (
+                      <div
+                        className="text-sm opacity-75 mt-1"
+                        title={annotation}
+                        style={{
+                          display: "-webkit-box",
+                          WebkitLineClamp: 3,
+                          WebkitBoxOrient: "vertical",
+                          overflow: "hidden",
+                        }}
+                      >
+                        {annotation}
+                      </div>
+                    )}
+                    {total > 0 && (
+                      <div className="text-xs opacity-75 mt-1">
+                        Слов: {total.toLocaleString("ru-RU")} · Прочитано: {percent}% · Осталось{" "}
+                        {formatDuration(left / Math.max(1, wpm))} при {wpm} WPM
+                      </div>
                     )}
                   </div>
-                  <div className="flex items-center gap-3 flex-shrink-0">
+
+                  <div className="flex flex-col items-stretch gap-2 flex-shrink-0 justify-center">
                     <button
                       onClick={() => onOpenBook(b)}
                       className="px-4 py-2 rounded bg-indigo-600 hover:bg-indigo-500 text-white"
@@ -297,14 +395,228 @@ function BooksView({ books, onFileUpload, onOpenBook, onDeleteBook, isDark, togg
 }
 
 /* =============================
-   Режим чтения
+   Настройки: пресеты и свои настройки книги
 ============================= */
+function SettingsPanel({
+  presets,
+  onApplyPreset,
+  onSavePreset,
+  onDeletePreset,
+  onReset,
+  hasBookSettings,
+  onToggleBookSettings,
+  isDark,
+}) {
+  const [selected, setSelected] = useState("");
+  const preset = presets.find((p) => p.name === selected);
+
+  const saveAs = () => {
+    const name = window.prompt("Название пресета", selected || `Пресет ${presets.length + 1}`);
+    if (!name?.trim()) return;
+    onSavePreset(name.trim());
+    setSelected(name.trim());
+  };
+
+  return (
+    <div
+      className={`controls-row compactable p-2 rounded text-sm ${
+        isDark ? "bg-gray-800" : "bg-white border border-gray-300"
+      }`}
+      style={{ marginTop: 12, flexWrap: "wrap" }}
+    >
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={hasBookSettings}
+          onChange={(e) => onToggleBookSettings(e.target.checked)}
+        />
+        <span>Свои настройки для этой книги</span>
+      </label>
+
+      <label className="flex items-center gap-2">
+        <span>Пресет:</span>
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          className="px-2 py-1 rounded text-gray-900"
+        >
+          <option value="">—</option>
+          {presets.map((p) => (
+            <option key={p.name} value={p.name}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button className="btn" onClick={() => onApplyPreset(preset)} disabled={!preset}>
+        Применить
+      </button>
+      <button className="btn" onClick={saveAs} title="Сохранить текущие настройки как пресет">
+        Сохранить как…
+      </button>
+      {preset && (
+        <button
+          className="btn"
+          onClick={() => {
+            onDeletePreset(preset.name);
+            setSelected("");
+          }}
+        >
+          Удалить
+        </button>
+      )}
+      <button className="btn" onClick={onReset} title="Скорость, размер и режимы — по умолчанию">
+        Сбросить
+      </button>
+    </div>
+  );
+}
+
 /* =============================
-   Вёрстка: режим чтения (фикс центрирования)
+   RSVP: точка оптимального распознавания (ORP)
 ============================= */
+// номер опорной буквы по длине слова (как в Spritz): 1 → 0, 2–5 → 1, 6–9 → 2, 10–13 → 3, дальше 4
+function getOrpLetter(letterCount) {
+  if (letterCount <= 1) return 0;
+  if (letterCount <= 5) return 1;
+  if (letterCount <= 9) return 2;
+  if (letterCount <= 13) return 3;
+  return 4;
+}
+
+// слово → [до опорной буквы, опорная буква, после]; пунктуация по краям не считается буквами
+function splitAtOrp(word) {
+  const chars = Array.from(word);
+  const letterIdx = [];
+  chars.forEach((c, i) => {
+    if (/[\p{L}\p{N}]/u.test(c)) letterIdx.push(i);
+  });
+  const pivot = letterIdx.length ? letterIdx[getOrpLetter(letterIdx.length)] : 0;
+  return [chars.slice(0, pivot).join(""), chars[pivot] || "", chars.slice(pivot + 1).join("")];
+}
+
 /* =============================
-   Вёрстка: режим чтения (центр + Угол зрения)
+   Панель закладок и выделений
 ============================= */
+const ANNOTATION_CONTEXT_WORDS = 8;
+
+function AnnotationsPanel({ annotations, words, wordsLength, isDark, disabled, onJump, onDelete }) {
+  const sorted = [...annotations].sort((a, b) => a.start - b.start);
+  return (
+    <ul
+      className={`mt-2 p-2 rounded text-left overflow-y-auto space-y-2 ${
+        isDark ? "bg-gray-800" : "bg-white border border-gray-300"
+      }`}
+      style={{ maxHeight: "30vh" }}
+    >
+      {sorted.length === 0 && (
+        <li className="text-gray-400 text-center py-2">
+          Пока пусто. Поставьте паузу и добавьте закладку или выделение.
+        </li>
+      )}
+      {sorted.map((a) => {
+        const before = words.slice(Math.max(0, a.start - ANNOTATION_CONTEXT_WORDS), a.start).join(" ");
+        const marked = words.slice(a.start, a.end).join(" ");
+        const after = words.slice(a.end, a.end + ANNOTATION_CONTEXT_WORDS).join(" ");
+        const percent = wordsLength ? ((a.start / wordsLength) * 100).toFixed(1) : "0.0";
+        return (
+          <li key={a.id} className="flex items-start gap-3">
+            <div className="min-w-0 flex-1">
+              <div className="text-sm font-semibold">
+                {a.type === "bookmark" ? `🔖 ${a.name}` : "🖍 Выделение"} · {percent}%
+              </div>
+              <div className="text-sm opacity-80">
+                …{before}{" "}
+                <mark style={{ background: "rgba(250, 204, 21, 0.45)", color: "inherit" }}>
+                  {marked}
+                </mark>{" "}
+                {after}…
+              </div>
+            </div>
+            <button className="btn" onClick={() => onJump(a)} disabled={disabled}>
+              Перейти
+            </button>
+            <button className="btn" onClick={() => onDelete(a)} title="Удалить">
+              ✕
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+/* =============================
+   Режим чтения
+============================= */
+// основное устройство ввода — палец (телефон, планшет)
+const isTouchScreen = () => window.matchMedia?.("(pointer: coarse)").matches ?? false;
+
+/**
+ * Касания области чтения → команды (gestures.js). run(id) выполняет команду;
+ * onLongPressEnd — палец отпущен после долгого нажатия.
+ * Мышь не трогаем: на компьютере клики по тексту ничего не делают, как раньше.
+ */
+function useReaderGestures(gestures, run, onLongPressEnd) {
+  const touchRef = useRef(null); // { id, x, y, steps, moved, long, timer }
+
+  useEffect(() => () => clearTimeout(touchRef.current?.timer), []);
+
+  if (!gestures.enabled) return {};
+
+  const reset = () => {
+    clearTimeout(touchRef.current?.timer);
+    touchRef.current = null;
+  };
+
+  return {
+    onPointerDown: (e) => {
+      if (e.pointerType === "mouse" || e.target.closest("button, a, input")) return;
+      reset();
+      e.currentTarget.setPointerCapture?.(e.pointerId); // проведение может уйти за край области
+      const t = { id: e.pointerId, x: e.clientX, y: e.clientY, steps: 0, moved: false, long: false };
+      t.timer = setTimeout(() => {
+        t.long = true;
+        run(gestures.longPress);
+      }, LONG_PRESS_MS);
+      touchRef.current = t;
+    },
+    onPointerMove: (e) => {
+      const t = touchRef.current;
+      if (!t || t.id !== e.pointerId || t.long) return;
+      const dx = e.clientX - t.x;
+      const dy = t.y - e.clientY; // вверх — положительное
+      if (!t.moved && Math.hypot(dx, dy) > TAP_SLOP_PX) {
+        t.moved = true;
+        clearTimeout(t.timer);
+      }
+      if (!t.moved || Math.abs(dy) < Math.abs(dx)) return;
+      // по срабатыванию на каждый шаг, пока палец едет
+      const steps = swipeSteps(dy);
+      for (; t.steps < steps; t.steps++) run(gestures.swipeUp);
+      for (; t.steps > steps; t.steps--) run(gestures.swipeDown);
+    },
+    onPointerUp: (e) => {
+      const t = touchRef.current;
+      if (!t || t.id !== e.pointerId) return;
+      reset();
+      if (t.long) {
+        onLongPressEnd();
+      } else if (!t.moved) {
+        const rect = e.currentTarget.getBoundingClientRect();
+        run(gestures[tapZone(e.clientX - rect.left, rect.width, gestures.edgeWidth)]);
+      }
+    },
+    onPointerCancel: reset,
+    // долгое нажатие пальцем не открывает меню браузера; правая кнопка мыши
+    // (и копирование выделенного) работает как обычно
+    onContextMenu: (e) => {
+      const { pointerType } = e.nativeEvent;
+      if (touchRef.current || (pointerType && pointerType !== "mouse")) e.preventDefault();
+    },
+  };
+}
+
 function ReadingView({ readerProps, onBack, onSeek, isDark, toggleTheme }) {
   const {
     // базовый ридер
@@ -313,54 +625,105 @@ function ReadingView({ readerProps, onBack, onSeek, isDark, toggleTheme }) {
     togglePlay,
     wpm, setWpm,
     charLimit, setCharLimit,
+    chunkMode = "chars", setChunkMode,
     fontSize, setFontSize,
     isBold, setIsBold,
     position,
     wordsLength,
     progressPercent,
     isUpsideDown, setIsUpsideDown,
-    hideVowels, setHideVowels,
+    drills, setDrills,
     halfVisible, setHalfVisible,
+    isSingleWord, setIsSingleWord,
 
     // пары/синхронизация
     words = [],
     setIsPlaying,
     jumpToPosition,
+
+    // оглавление книги
+    toc = [],
+
+    // структура текста: флаги слов (tokens.js)
+    marks = [],
+    isParagraphEnd,
+
+    // темп
+    timingEngine,
+    timing, setTiming,
+
+    // сноски
+    chunkEnd = position + 1,
+    footnotes = {},
+    noteRefs = [],
+
+    // закладки и выделения
+    annotations = [],
+    addAnnotation,
+    deleteAnnotation,
+
+    // статистика: пуск/пауза и режим показа
+    reportPlayback,
+
+    // проверка понимания
+    comprehension = DEFAULT_COMPREHENSION,
+    setComprehension,
+    onQuizResult,
+
+    // оценка скорости (отдельный экран)
+    onStartAssessment,
+
+    // программы тренировки «Угол зрения»
+    trainingProgram = DEFAULT_PROGRAM,
+    trainingPrograms = TRAINING_PRESETS,
+    selectTrainingProgram,
+    saveTrainingProgram,
+    deleteTrainingProgram,
+    trainingSummaries = [],
+    onTrainingSummary,
+
+    // «Угол зрения» (сохраняются вместе с настройками)
+    isAngleMode,
+    setIsAngleMode,
+    pairGap, // px (ширина центрального зазора)
+    setPairGap,
+
+    // настройки: пресеты и свои настройки книги
+    presets = [],
+    applyPreset,
+    savePreset,
+    deletePreset,
+    resetSettings,
+    hasBookSettings = false,
+    setHasBookSettings,
   } = readerProps;
 
   // НОВОЕ: состояние компактного режима
   const [isCompactUI, setIsCompactUI] = React.useState(false);
+  const [showTiming, setShowTiming] = React.useState(false); // панель коэффициентов темпа
+  const [showSettings, setShowSettings] = React.useState(false); // пресеты и настройки книги
 
-  // Настройки для изменения скорости
-  const WPM_MIN = 60;
-  const WPM_MAX = 1200;
-  const WPM_STEP = 10;
-
+  // «–/+»: пределы и шаг общие с клавишами (SETTING_LIMITS)
   const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-  const decWpm = () => setWpm(prev => clamp(prev - WPM_STEP, WPM_MIN, WPM_MAX));
-  const incWpm = () => setWpm(prev => clamp(prev + WPM_STEP, WPM_MIN, WPM_MAX));
-// ---- Символов (ширина текста) ----
-const CHAR_MIN = 10;
-const CHAR_MAX = 100;
-const CHAR_STEP = 5;
-const decChars = () => setCharLimit(v => Math.max(CHAR_MIN, v - CHAR_STEP));
-const incChars = () => setCharLimit(v => Math.min(CHAR_MAX, v + CHAR_STEP));
-  /* ===== Константы тренировки ===== */
-  const TRAIN_MIN = 10;
-  const TRAIN_MAX = 550;
-  const TRAIN_STEP = 10;
-  const TRAIN_EVERY_PAIRS = 3; // каждые 3 пары (6 слов)
-
+  const decWpm = () => setWpm((v) => stepSetting("wpm", v, -1));
+  const incWpm = () => setWpm((v) => stepSetting("wpm", v, 1));
+  const decChars = () => setCharLimit((v) => stepSetting("charLimit", v, -1));
+  const incChars = () => setCharLimit((v) => stepSetting("charLimit", v, 1));
+  const decFont = () => setFontSize((v) => stepSetting("fontSize", v, -1));
+  const incFont = () => setFontSize((v) => stepSetting("fontSize", v, 1));
+  const decGap = () => setPairGap((v) => stepSetting("pairGap", v, -1));
+  const incGap = () => setPairGap((v) => stepSetting("pairGap", v, 1));
   /* ===== Состояния ===== */
-  const [isAngleMode, setIsAngleMode] = React.useState(false);
-  const [pairGap, setPairGap] = React.useState(500); // px (ширина центрального зазора)
   const [pairPos, setPairPos] = React.useState(0);   // индекс ЛЕВОГО слова пары
   const [isPairPlaying, setIsPairPlaying] = React.useState(false);
   const pairTimerRef = React.useRef(null);
 
   const [isTraining, setIsTraining] = React.useState(false);
-  const [trainingDir, setTrainingDir] = React.useState(1); // +1 растём, -1 уменьшаем
+  const trainingStateRef = React.useRef(null); // { gap, dir, stepIndex } — шаги программы
+  const trainingStatsRef = React.useRef(null); // данные для итога тренировки
   const pairsSinceStepRef = React.useRef(0);
+  const [trainingSummary, setTrainingSummary] = React.useState(null); // итог последней тренировки
+  const [showProgramEditor, setShowProgramEditor] = React.useState(false);
 
   const [showGuide, setShowGuide] = React.useState(false); // оптический ориентир (центральная линия)
 
@@ -378,26 +741,29 @@ const incChars = () => setCharLimit(v => Math.min(CHAR_MAX, v + CHAR_STEP));
   const wRight = words[leftIndex + 1] || "";
 
   /* ===== Таймер пары ===== */
+  const pairPosRef = React.useRef(pairPos);
+  React.useEffect(() => { pairPosRef.current = pairPos; }, [pairPos]);
+
   const stopPairTimer = React.useCallback(() => {
-    if (pairTimerRef.current) clearInterval(pairTimerRef.current);
+    pairTimerRef.current?.();
     pairTimerRef.current = null;
   }, []);
 
+  // пара — два слова: задержка по их «весу», WPM — настоящие слова в минуту
   const startPairTimer = React.useCallback(() => {
     stopPairTimer();
-    const msPerPair = Math.max(1, Math.round(60000 / Math.max(1, wpm)));
-    pairTimerRef.current = setInterval(() => {
-      setPairPos((p) => {
-        const next = p + 2;
-        if (next >= words.length) {
-          stopPairTimer();
-          setIsPairPlaying(false);
-          return p;
-        }
-        return next;
-      });
-    }, msPerPair);
-  }, [stopPairTimer, wpm, words.length]);
+    const delayAt = (p) => timingEngine.rangeDelay(p, p + 2, wpm);
+    pairTimerRef.current = startTicker(delayAt(pairPosRef.current), () => {
+      const next = pairPosRef.current + 2;
+      if (next >= words.length) {
+        setIsPairPlaying(false);
+        return null;
+      }
+      pairPosRef.current = next;
+      setPairPos(next);
+      return delayAt(next);
+    });
+  }, [stopPairTimer, timingEngine, wpm, words.length]);
 // ==== Fullscreen helpers ====
 const [isFullscreen, setIsFullscreen] = React.useState(false);
 
@@ -437,6 +803,7 @@ const toggleFullscreen = () => {
   React.useEffect(() => {
     if (isAngleMode) {
       setIsPlaying?.(false);
+      setIsSingleWord?.(false); // режимы показа взаимоисключающие
       const pos = positionRef.current;
       const evenFromPosition = Math.max(0, pos - (pos % 2));
       setPairPos(evenFromPosition);
@@ -451,7 +818,7 @@ const toggleFullscreen = () => {
       stopPairTimer();
       lastSyncedPosRef.current = -1;
     }
-  }, [isAngleMode, setIsPlaying, stopPairTimer]);
+  }, [isAngleMode, setIsPlaying, setIsSingleWord, stopPairTimer]);
 
   /* ===== Переключатель тренировки (кнопка) ===== */
   const toggleTraining = React.useCallback(() => {
@@ -459,8 +826,18 @@ const toggleFullscreen = () => {
       if (!isAngleMode) setIsAngleMode(true);
       setIsPlaying?.(false);
       pairsSinceStepRef.current = 0;
-      setTrainingDir(1);
-      setPairGap(TRAIN_MIN);
+      trainingStateRef.current = startTraining(trainingProgram);
+      trainingStatsRef.current = {
+        programName: trainingProgram.name,
+        pattern: trainingProgram.pattern,
+        startedAt: Date.now(),
+        pairs: 0,
+        maxGap: trainingProgram.gapMin,
+        startWpm: wpm,
+        endWpm: wpm,
+      };
+      setPairGap(trainingProgram.gapMin);
+      setTrainingSummary(null);
       setIsTraining(true);
       setIsPairPlaying(true);
       prevPairPosRef.current = leftIndex; // базовая точка для счётчика
@@ -470,7 +847,24 @@ const toggleFullscreen = () => {
       setIsPairPlaying(false);
       setIsAngleMode(false); // возврат в обычный режим
     }
-  }, [isTraining, isAngleMode, setIsPlaying, leftIndex]);
+  }, [isTraining, isAngleMode, setIsPlaying, leftIndex, trainingProgram, wpm, setIsAngleMode, setPairGap]);
+
+  // конец тренировки (кнопкой, выходом из режима или из книги) — итог
+  React.useEffect(() => {
+    if (!isTraining) return;
+    return () => {
+      const stats = trainingStatsRef.current;
+      trainingStatsRef.current = null;
+      if (!stats?.pairs) return;
+      const summary = {
+        ...stats,
+        startedAt: new Date(stats.startedAt).toISOString(),
+        durationMs: Date.now() - stats.startedAt,
+      };
+      setTrainingSummary(summary);
+      onTrainingSummary?.(summary);
+    };
+  }, [isTraining, onTrainingSummary]);
 
   /* ===== Таймер пар включён? ===== */
   React.useEffect(() => {
@@ -489,7 +883,7 @@ const toggleFullscreen = () => {
     }
   }, [isAngleMode, leftIndex, jumpToPosition]);
 
-  /* ===== ЛОГИКА ТРЕНИРОВКИ: шаг каждые 3 пары (авто и ручной шаг) ===== */
+  /* ===== ЛОГИКА ТРЕНИРОВКИ: шаг каждые N пар по программе (авто и ручной шаг) ===== */
   React.useEffect(() => {
     // если не тренировка — просто обновляем маркер и выходим
     if (!(isAngleMode && isTraining)) {
@@ -500,20 +894,191 @@ const toggleFullscreen = () => {
     // реагируем ТОЛЬКО на движение вперёд на новую пару
     if (pairPos > prevPairPosRef.current) {
       pairsSinceStepRef.current += 1;
+      const stats = trainingStatsRef.current;
+      if (stats) stats.pairs += 1;
 
-      if (pairsSinceStepRef.current >= TRAIN_EVERY_PAIRS) {
+      if (pairsSinceStepRef.current >= trainingProgram.everyPairs && trainingStateRef.current) {
         pairsSinceStepRef.current = 0;
-        setPairGap((g) => {
-          let next = g + trainingDir * TRAIN_STEP;
-          if (next >= TRAIN_MAX) { next = TRAIN_MAX; setTrainingDir(-1); }
-          else if (next <= TRAIN_MIN) { next = TRAIN_MIN; setTrainingDir(1); }
-          return next;
-        });
+        const next = nextTrainingStep(trainingProgram, trainingStateRef.current);
+        trainingStateRef.current = next;
+        setPairGap(next.gap);
+        const nextWpm = rampWpm(trainingProgram, wpm);
+        if (nextWpm !== wpm) setWpm(nextWpm);
+        if (stats) {
+          stats.maxGap = Math.max(stats.maxGap, next.gap);
+          stats.endWpm = nextWpm;
+        }
       }
       // фиксируем новую «последнюю» пару
       prevPairPosRef.current = pairPos;
     }
-  }, [pairPos, isAngleMode, isTraining, trainingDir]);
+  }, [pairPos, isAngleMode, isTraining, trainingProgram, wpm, setWpm, setPairGap]);
+
+  /* ===== Главы (оглавление) ===== */
+  const [showToc, setShowToc] = React.useState(false);
+
+  // текущая глава — последняя, начало которой уже пройдено
+  const chapterIndex = React.useMemo(() => {
+    let idx = -1;
+    for (let i = 0; i < toc.length; i++) {
+      if (toc[i].wordIndex > position) break;
+      idx = i;
+    }
+    return idx;
+  }, [toc, position]);
+
+  const goToChapter = (i) => {
+    if (i < 0 || i >= toc.length) return;
+    onSeek(toc[i].wordIndex);
+  };
+
+  /* ===== Сноски в показанном фрагменте ===== */
+  const [openNotes, setOpenNotes] = React.useState(null); // массив id или null
+
+  const visibleStart = isAngleMode ? leftIndex : position;
+  const visibleEnd = isAngleMode ? leftIndex + 2 : Math.max(chunkEnd, position + 1);
+
+  // знак ¶ после фрагмента, на котором кончается абзац
+  const paragraphMark = !isAngleMode && !!isParagraphEnd?.(visibleEnd - 1) && (
+    <span aria-hidden="true" style={{ opacity: 0.35, marginLeft: "0.3em" }}>¶</span>
+  );
+  const visibleNoteIds = React.useMemo(() => {
+    const ids = noteRefs
+      .filter((r) => r.wordIndex >= visibleStart && r.wordIndex < visibleEnd)
+      .map((r) => r.id);
+    return Array.from(new Set(ids));
+  }, [noteRefs, visibleStart, visibleEnd]);
+
+  // сноску читаем только на паузе
+  const openFootnotes = () => {
+    if (!visibleNoteIds.length) return;
+    setIsPlaying?.(false);
+    setIsPairPlaying(false);
+    setOpenNotes(visibleNoteIds);
+  };
+
+  // пуск чтения закрывает окно сноски
+  React.useEffect(() => {
+    if (isPlaying || isPairPlaying) setOpenNotes(null);
+  }, [isPlaying, isPairPlaying]);
+
+  /* ===== Тренировки с маскировкой (применяются к показанному фрагменту) ===== */
+  const shownText = React.useMemo(
+    () => applyDrills(displayedText, drills, position),
+    [displayedText, drills, position]
+  );
+  const toggleDrill = (key) => setDrills((d) => ({ ...d, [key]: !d[key] }));
+  const changeMaskRate = (delta) =>
+    setDrills((d) => ({
+      ...d,
+      maskRate: Math.round(clamp(d.maskRate + delta, MASK_RATE_MIN, MASK_RATE_MAX) * 100) / 100,
+    }));
+
+  /* ===== Закладки и выделения (создаются только на паузе) ===== */
+  const [showAnnotations, setShowAnnotations] = React.useState(false);
+  const [highlightStart, setHighlightStart] = React.useState(null); // начало незавершённого выделения
+  const isAnyPlaying = isAngleMode ? isPairPlaying : isPlaying;
+
+  const playbackMode = isTraining ? "training" : isAngleMode ? "angle" : isSingleWord ? "single" : "chunk";
+  React.useEffect(() => {
+    reportPlayback?.(isAnyPlaying, playbackMode);
+  }, [isAnyPlaying, playbackMode, reportPlayback]);
+
+  const addBookmark = () => {
+    const count = annotations.filter((a) => a.type === "bookmark").length;
+    const name = window.prompt("Название закладки", `Закладка ${count + 1}`);
+    if (name == null) return;
+    addAnnotation?.({ type: "bookmark", name: name.trim() || `Закладка ${count + 1}`, start: visibleStart, end: visibleStart + 1 });
+  };
+
+  // первое нажатие — начало выделения (текущий фрагмент), второе — конец
+  const toggleHighlight = () => {
+    if (highlightStart == null) {
+      setHighlightStart(visibleStart);
+      return;
+    }
+    const start = Math.min(highlightStart, visibleStart);
+    const end = Math.max(highlightStart + 1, visibleEnd);
+    addAnnotation?.({ type: "highlight", name: "", start, end });
+    setHighlightStart(null);
+  };
+
+  const isHighlighted = annotations.some(
+    (a) => a.type === "highlight" && a.start < visibleEnd && a.end > visibleStart
+  );
+
+  /* ===== Поиск по книге ===== */
+  const [showSearch, setShowSearch] = React.useState(false);
+  const [searchQuery, setSearchQuery] = React.useState("");
+  const [searchResults, setSearchResults] = React.useState(null);
+
+  // нормализованные слова строим, только когда поиск открыт
+  const searchIndex = React.useMemo(
+    () => (showSearch ? buildSearchIndex(words) : null),
+    [showSearch, words]
+  );
+  React.useEffect(() => setSearchResults(null), [words]);
+
+  const runSearch = (e) => {
+    e.preventDefault();
+    if (!searchIndex) return;
+    setSearchResults(searchWords(words, searchIndex, searchQuery));
+  };
+
+  /* ===== Проверка понимания (после N слов или в конце главы) ===== */
+  const [quiz, setQuiz] = React.useState(null); // { questions, answers, checked }
+  const [lastQuizResult, setLastQuizResult] = React.useState(null); // { correct, total, wpm }
+  const quizStartRef = React.useRef(position); // начало отрывка, по которому спросим
+  const quizPosRef = React.useRef(position);
+
+  // позиция сменилась не воспроизведением (перемотка, глава, поиск) — отрывок начинаем заново
+  React.useEffect(() => {
+    const moved = position !== quizPosRef.current;
+    quizPosRef.current = position;
+    if (moved && !isAnyPlaying) quizStartRef.current = position;
+  }, [position, isAnyPlaying]);
+
+  React.useEffect(() => {
+    quizStartRef.current = positionRef.current;
+  }, [comprehension.enabled, comprehension.interval]);
+
+  // чтение остановилось на последнем фрагменте книги — отрывок закончен,
+  // даже если позиция не дошла до отметки (фрагмент из нескольких слов)
+  const wasPlayingRef = React.useRef(isAnyPlaying);
+  React.useEffect(() => {
+    const finished = wasPlayingRef.current && !isAnyPlaying && visibleEnd >= words.length;
+    wasPlayingRef.current = isAnyPlaying;
+    if (!comprehension.enabled || !(isAnyPlaying || finished) || quiz) return;
+    const from = quizStartRef.current;
+    const to = finished ? words.length : quizCheckpoint(comprehension, from, toc, words.length);
+    if (position < to && !finished) return;
+    quizStartRef.current = position;
+    const questions = buildQuiz(words, from, to);
+    if (!questions.length) return; // в отрывке нет целых предложений
+    setIsPlaying?.(false);
+    setIsPairPlaying(false);
+    setQuiz({ questions, answers: [], checked: false });
+  }, [comprehension, isAnyPlaying, quiz, position, visibleEnd, toc, words, setIsPlaying]);
+
+  // пуск чтения закрывает проверку (без оценки)
+  React.useEffect(() => {
+    if (isAnyPlaying) setQuiz(null);
+  }, [isAnyPlaying]);
+
+  const answerQuiz = (qi, oi) =>
+    setQuiz((q) => {
+      const answers = [...q.answers];
+      answers[qi] = oi;
+      return { ...q, answers };
+    });
+
+  const checkQuiz = () => {
+    const total = quiz.questions.length;
+    const correct = scoreQuiz(quiz.questions, quiz.answers);
+    setQuiz({ ...quiz, checked: true });
+    setLastQuizResult({ correct, total, wpm });
+    onQuizResult?.(correct, total);
+  };
 
   /* ===== Общие стили текста ===== */
   const textCommonStyle = {
@@ -525,6 +1090,7 @@ const toggleFullscreen = () => {
     maxWidth: "100%",
     clipPath: halfVisible ? "inset(0 0 35% 0)" : "inset(0 0 0 0)",
     transition: "clip-path 0.3s ease",
+    backgroundColor: isHighlighted ? "rgba(250, 204, 21, 0.35)" : "transparent",
     transform: isUpsideDown ? "rotate(180deg)" : "none",
     transformOrigin: "50% 50%",
   };
@@ -538,84 +1104,154 @@ const toggleFullscreen = () => {
     }
   }, [isAngleMode, togglePlay]);
 
-  /* ===== Клавиатура ===== */
+  // «Одно слово» и «Угол зрения» не совмещаются
+  const toggleSingleWord = () => {
+    setIsSingleWord((v) => !v);
+    setIsAngleMode(false);
+  };
+
+  /* ===== Текст вокруг фрагмента (долгое нажатие) ===== */
+  const [contextOpen, setContextOpen] = React.useState(false);
+
+  // читаем на паузе, как сноски
+  const openContext = () => {
+    setIsPlaying?.(false);
+    setIsPairPlaying(false);
+    setContextOpen(true);
+  };
+
   React.useEffect(() => {
-    if (!readerProps || !onSeek) return;
-    const { words, charLimit, jumpToPosition, setIsPlaying } = readerProps;
-    if (!words || words.length === 0) return;
-
-    const clampLocal = (v, min, max) => Math.max(min, Math.min(max, v));
-
-    const getNextChunkStart = (pos) => {
-      let next = pos, total = 0;
-      while (next < words.length) {
-        const len = words[next].length + 1;
-        if (total + len > charLimit) break;
-        total += len; next++;
-      }
-      if (next === pos) next = Math.min(words.length, pos + 1);
-      return next;
-    };
+    if (isPlaying || isPairPlaying) setContextOpen(false);
+  }, [isPlaying, isPairPlaying]);
 
-    const getPrevChunkStart = (pos) => {
-      let prev = pos, total = 0;
-      while (prev > 0) {
-        const len = words[prev - 1].length + 1;
-        if (total + len > charLimit) break;
-        total += len; prev--;
-      }
-      if (prev === pos) prev = Math.max(0, pos - 1);
-      return prev;
-    };
+  /* ===== Клавиатура: команды (см. keymap.js) ===== */
+  const [keymap, setKeymap] = React.useState(loadKeymap);
+  const [showShortcuts, setShowShortcuts] = React.useState(false);
 
-    const onKey = (e) => {
-      // WPM вверх/вниз — везде
-      if (e.code === "ArrowUp") {
-        e.preventDefault(); setWpm((w) => clampLocal(w + 10, 20, 1000)); return;
-      }
-      if (e.code === "ArrowDown") {
-        e.preventDefault(); setWpm((w) => clampLocal(w - 10, 20, 1000)); return;
-      }
+  const changeKeymap = React.useCallback((next) => {
+    setKeymap(next);
+    saveKeymap(next);
+  }, []);
+
+  // вперёд/назад: в «Угол зрения» — по парам, в «Одно слово» — по слову, иначе — по фрагменту
+  const stepBy = (dir) => {
+    if (!words.length) return;
+    if (isAngleMode) {
+      setIsPairPlaying(false);
+      setPairPos((p) => (dir > 0 ? Math.min(p + 2, Math.max(0, words.length - 2)) : Math.max(0, p - 2)));
+      return;
+    }
+    setIsPlaying(false);
+    if (isSingleWord) jumpToPosition(dir > 0 ? position + 1 : Math.max(0, position - 1));
+    else {
+      const step = dir > 0 ? nextChunkStart : prevChunkStart;
+      jumpToPosition(step(words, position, charLimit, chunkMode, isParagraphEnd));
+    }
+  };
+
+  // по предложениям и абзацам; в «Угол зрения» — к паре, где начинается предложение/абзац
+  const jumpUnit = (dir, flag) => {
+    if (!words.length) return;
+    const from = isAngleMode ? leftIndex : position;
+    const target = dir > 0 ? nextUnitStart(marks, from, flag) : prevUnitStart(marks, from, flag);
+    if (isAngleMode) {
+      setIsPairPlaying(false);
+      const pair = target - (target % 2);
+      setPairPos(Math.min(dir > 0 && pair <= leftIndex ? pair + 2 : pair, Math.max(0, words.length - 2)));
+      return;
+    }
+    setIsPlaying(false);
+    jumpToPosition(target);
+  };
 
-      // Пробел — пуск/пауза
-      if (e.code === "Space") { e.preventDefault(); handleStartPause(); return; }
+  // id команды → действие; те же функции, что у кнопок
+  const commands = {
+    togglePlay: handleStartPause,
+    wpmUp: incWpm,
+    wpmDown: decWpm,
+    next: () => stepBy(1),
+    prev: () => stepBy(-1),
+    nextSentence: () => jumpUnit(1, SENTENCE_BOUNDARY),
+    prevSentence: () => jumpUnit(-1, SENTENCE_BOUNDARY),
+    nextParagraph: () => jumpUnit(1, PARAGRAPH_BOUNDARY),
+    prevParagraph: () => jumpUnit(-1, PARAGRAPH_BOUNDARY),
+    nextChapter: () => !isAngleMode && goToChapter(chapterIndex + 1),
+    prevChapter: () => !isAngleMode && goToChapter(chapterIndex - 1),
+    bookmark: () => !isAnyPlaying && addBookmark(),
+    highlight: () => !isAnyPlaying && toggleHighlight(),
+    back: onBack,
+    fontUp: incFont,
+    fontDown: decFont,
+    charsUp: incChars,
+    charsDown: decChars,
+    gapUp: incGap,
+    gapDown: decGap,
+    toggleBold: () => setIsBold((b) => !b),
+    toggleUpsideDown: () => setIsUpsideDown((v) => !v),
+    toggleHalf: () => setHalfVisible((v) => !v),
+    toggleGuide: () => setShowGuide((v) => !v),
+    toggleTheme,
+    toggleFullscreen,
+    toggleCompact: () => setIsCompactUI((v) => !v),
+    toggleSingleWord,
+    toggleAngle: () => setIsAngleMode((m) => !m),
+    toggleTraining,
+    toggleComprehension: () => setComprehension((c) => ({ ...c, enabled: !c.enabled })),
+    ...Object.fromEntries(DRILL_TOGGLES.map(({ key }) => [`drill:${key}`, () => toggleDrill(key)])),
+    toggleToc: () => toc.length > 0 && setShowToc((v) => !v),
+    toggleSearch: () => setShowSearch((v) => !v),
+    toggleAnnotations: () => setShowAnnotations((v) => !v),
+    toggleTiming: () => setShowTiming((v) => !v),
+    toggleSettings: () => setShowSettings((v) => !v),
+    toggleProgramEditor: () => setShowProgramEditor((v) => !v),
+    help: () => setShowShortcuts((v) => !v),
+    showContext: () => (contextOpen ? setContextOpen(false) : openContext()),
+  };
+  // обработчик клавиш один, а действия видят свежие состояния
+  const commandsRef = React.useRef(commands);
+  React.useEffect(() => { commandsRef.current = commands; });
 
-      if (isAngleMode) {
-        // ручная навигация по парам
-        if (e.code === "ArrowRight") {
-          e.preventDefault();
-          setIsPairPlaying(false);
-          setPairPos((p) => Math.min(p + 2, Math.max(0, words.length - 2)));
-          return;
-        }
-        if (e.code === "ArrowLeft") {
+  React.useEffect(() => {
+    const onKey = (e) => {
+      // в полях ввода (поиск и т. п.) клавиши — для текста
+      if (e.target.matches?.('input:not([type="range"]):not([type="checkbox"]), textarea, select')) return;
+      const combo = eventToCombo(e);
+      if (!combo) return;
+      // «?» на любой раскладке (в русской это Shift+7)
+      const id = commandForCombo(keymap, combo) || (e.key === "?" ? "help" : null);
+
+      // пока открыт список клавиш, работают только он сам и Esc
+      if (showShortcuts) {
+        if (id === "help" || e.code === "Escape") {
           e.preventDefault();
-          setIsPairPlaying(false);
-          setPairPos((p) => Math.max(0, p - 2));
-          return;
+          setShowShortcuts(false);
         }
         return;
       }
-
-      // обычный режим
-      if (e.code === "ArrowRight") {
-        e.preventDefault();
-        setIsPlaying(false);
-        jumpToPosition(getNextChunkStart(position));
-      } else if (e.code === "ArrowLeft") {
-        e.preventDefault();
-        setIsPlaying(false);
-        jumpToPosition(getPrevChunkStart(position));
-      }
+      if (!id) return;
+      e.preventDefault();
+      commandsRef.current[id]?.();
     };
 
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [readerProps, onSeek, position, isAngleMode, handleStartPause, setWpm]);
+  }, [keymap, showShortcuts]);
 
-  /* ===== Хелпер для классов кнопок (активная = синяя) ===== */
-  const btnClass = (active) =>
-    `px-4 py-2 rounded ${active ? "bg-blue-600 text-white" : "bg-gray-700"} hover:bg-gray-600 transition`;
+  /* ===== Жесты (см. gestures.js) ===== */
+  const [gestures, setGestures] = React.useState(loadGestures);
+  const [showGestures, setShowGestures] = React.useState(false);
+
+  const changeGestures = (next) => {
+    setGestures(next);
+    saveGestures(next);
+  };
+
+  const gestureHandlers = useReaderGestures(
+    gestures,
+    (id) => id && commandsRef.current[id]?.(),
+    // «Текст вокруг» долгим нажатием виден, пока палец прижат
+    () => gestures.longPress === "showContext" && setContextOpen(false)
+  );
 
   /* ===== Разметка ===== */
   return (
@@ -638,29 +1274,55 @@ const toggleFullscreen = () => {
             textAlign: "center",
             position: "relative",
             overflow: "hidden",
+            // жесты вместо прокрутки и выделения текста; мышью текст выделяется как обычно
+            touchAction: gestures.enabled ? "none" : undefined,
+            userSelect: gestures.enabled && isTouchScreen() ? "none" : undefined,
+            WebkitTouchCallout: gestures.enabled ? "none" : undefined,
           }}
+          {...gestureHandlers}
         >
           {/* ОПТИЧЕСКИЙ ОРИЕНТИР: вертикальная линия по центру */}
-          {showGuide && (
-            <div
-              aria-hidden="true"
-              style={{
-                position: "absolute",
-                top: 0,
-                bottom: 0,
-                left: "50%",
-                width: "1px",
-                background: isDark ? "rgba(59,130,246,0.6)" : "rgba(37,99,235,0.7)",
-                transform: "translateX(-0.5px)",
-                pointerEvents: "none",
-              }}
-            />
+          {showGuide && <CenterGuide isDark={isDark} />}
+
+          {/* Индикатор сноски в текущем фрагменте */}
+          {visibleNoteIds.length > 0 && (
+            <button
+              type="button"
+              onClick={openFootnotes}
+              className="px-2 py-1 rounded bg-amber-600 hover:bg-amber-500 text-white text-sm"
+              style={{ position: "absolute", top: 8, right: 8, zIndex: 1 }}
+              title="Открыть сноску (чтение встанет на паузу)"
+              aria-label="Открыть сноску"
+            >
+              ✱ Сноска{visibleNoteIds.length > 1 ? ` ×${visibleNoteIds.length}` : ""}
+            </button>
           )}
 
+          {/* Одно слово (RSVP): опорная буква — точно по центральной линии */}
+          {!isAngleMode && isSingleWord && (() => {
+            const [before, pivot, after] = splitAtOrp(shownText || "...");
+            return (
+              <div
+                style={{
+                  ...textCommonStyle,
+                  display: "grid",
+                  gridTemplateColumns: "1fr auto 1fr",
+                  width: "100%",
+                  whiteSpace: "pre",
+                }}
+              >
+                <span style={{ textAlign: "right" }}>{before}</span>
+                <span style={{ color: isDark ? "#f87171" : "#dc2626" }}>{pivot}</span>
+                <span style={{ textAlign: "left" }}>{after}{paragraphMark}</span>
+              </div>
+            );
+          })()}
+
           {/* Обычный режим */}
-          {!isAngleMode && (
+          {!isAngleMode && !isSingleWord && (
             <span style={textCommonStyle}>
-              {hideVowels ? renderWithHiddenVowels(displayedText || "...") : displayedText || "..."}
+              {shownText || "..."}
+              {paragraphMark}
             </span>
           )}
 
@@ -693,6 +1355,104 @@ const toggleFullscreen = () => {
         </div>
       </main>
 
+      {/* Проверка понимания */}
+      {quiz && (
+        <section
+          className={`w-full max-w-4xl p-4 mb-4 rounded-lg text-left ${
+            isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+          }`}
+          role="dialog"
+          aria-label="Проверка понимания"
+        >
+          <h2 className="font-semibold text-lg mb-2">Проверка понимания</h2>
+          <QuizQuestions
+            questions={quiz.questions}
+            answers={quiz.answers}
+            checked={quiz.checked}
+            onAnswer={answerQuiz}
+          />
+          <div className="controls-row" style={{ justifyContent: "flex-start" }}>
+            {quiz.checked ? (
+              <>
+                <strong>
+                  Верно {lastQuizResult.correct} из {lastQuizResult.total} при {lastQuizResult.wpm} WPM
+                </strong>
+                <button className="btn" onClick={() => setQuiz(null)}>
+                  Продолжить
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  className="btn"
+                  onClick={checkQuiz}
+                  disabled={!isQuizAnswered(quiz.questions, quiz.answers)}
+                >
+                  Проверить
+                </button>
+                <button className="btn" onClick={() => setQuiz(null)}>
+                  Пропустить
+                </button>
+              </>
+            )}
+          </div>
+        </section>
+      )}
+
+      {/* Список клавиш («?») */}
+      {showShortcuts && (
+        <ShortcutsOverlay
+          keymap={keymap}
+          onChange={changeKeymap}
+          onClose={() => setShowShortcuts(false)}
+          isDark={isDark}
+        />
+      )}
+
+      {/* Текст вокруг показанного фрагмента */}
+      {contextOpen && (() => {
+        const { before, match, after } = contextAround(words, visibleStart, visibleEnd);
+        return (
+          <section
+            className={`w-full max-w-4xl p-4 mb-4 rounded-lg text-left ${
+              isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+            }`}
+            role="dialog"
+            aria-label="Текст вокруг"
+          >
+            <p className="mb-3">
+              {before}{" "}
+              <mark style={{ background: "rgba(99, 102, 241, 0.45)", color: "inherit" }}>{match}</mark>{" "}
+              {after}
+            </p>
+            <button className="btn" onClick={() => setContextOpen(false)}>
+              Закрыть
+            </button>
+          </section>
+        );
+      })()}
+
+      {/* Текст открытых сносок */}
+      {openNotes && (
+        <section
+          className={`w-full max-w-4xl p-4 mb-4 rounded-lg text-left ${
+            isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+          }`}
+          role="dialog"
+          aria-label="Сноски"
+        >
+          {openNotes.map((id) => (
+            <div key={id} className="mb-3">
+              <div className="font-semibold">{footnotes[id]?.title || "Сноска"}</div>
+              <div className="opacity-90" style={{ whiteSpace: "pre-line" }}>{footnotes[id]?.text}</div>
+            </div>
+          ))}
+          <button className="btn" onClick={() => setOpenNotes(null)}>
+            Закрыть
+          </button>
+        </section>
+      )}
+
       {/* Прогресс и управление */}
       <footer className="w-full max-w-4xl">
         {/* Прогресс — всегда. В «Угол зрения» навигация отключена. */}
@@ -748,6 +1508,196 @@ const toggleFullscreen = () => {
               +
             </button>
           </div>
+
+          {/* Главы: ◀ | «Глава N из M» | ▶ */}
+          {toc.length > 0 && (
+            <div className="flex items-center justify-between gap-3 mt-2">
+              <button
+                type="button"
+                onClick={() => goToChapter(chapterIndex - 1)}
+                className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                disabled={isAngleMode || chapterIndex <= 0}
+                title="Предыдущая глава"
+              >
+                ◀ Глава
+              </button>
+
+              <button
+                type="button"
+                onClick={() => setShowToc((v) => !v)}
+                className={`${btnClass(showToc)} min-w-0 truncate`}
+                aria-pressed={showToc}
+                aria-expanded={showToc}
+                title={chapterIndex >= 0 ? toc[chapterIndex].title : "Оглавление"}
+              >
+                {chapterIndex >= 0
+                  ? `Глава ${chapterIndex + 1} из ${toc.length}: ${toc[chapterIndex].title}`
+                  : `Глав: ${toc.length}`}
+              </button>
+
+              <button
+                type="button"
+                onClick={() => goToChapter(chapterIndex + 1)}
+                className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                disabled={isAngleMode || chapterIndex >= toc.length - 1}
+                title="Следующая глава"
+              >
+                Глава ▶
+              </button>
+            </div>
+          )}
+
+          {/* Закладки и выделения */}
+          <div className="controls-row" style={{ marginTop: 8 }}>
+            <button
+              type="button"
+              className="btn"
+              onClick={addBookmark}
+              disabled={isAnyPlaying}
+              title="Закладка на текущем месте (на паузе)"
+            >
+              🔖 Закладка
+            </button>
+            <button
+              type="button"
+              className={btnClass(highlightStart != null)}
+              onClick={toggleHighlight}
+              disabled={isAnyPlaying}
+              aria-pressed={highlightStart != null}
+              title={
+                highlightStart == null
+                  ? "Начать выделение с текущего фрагмента (на паузе)"
+                  : "Закончить выделение на текущем фрагменте"
+              }
+            >
+              🖍 {highlightStart == null ? "Выделить" : "Закончить выделение"}
+            </button>
+            {highlightStart != null && (
+              <button type="button" className="btn" onClick={() => setHighlightStart(null)}>
+                Отмена
+              </button>
+            )}
+            <button
+              type="button"
+              className={btnClass(showAnnotations)}
+              onClick={() => setShowAnnotations((v) => !v)}
+              aria-pressed={showAnnotations}
+            >
+              Заметки ({annotations.length})
+            </button>
+            <button
+              type="button"
+              className={btnClass(showSearch)}
+              onClick={() => setShowSearch((v) => !v)}
+              aria-pressed={showSearch}
+            >
+              🔍 Поиск
+            </button>
+            <button
+              type="button"
+              className="btn"
+              onClick={onStartAssessment}
+              title="Обычное чтение отрывка с секундомером и вопросы — подбор стартовой скорости"
+            >
+              ⏱ Оценка скорости
+            </button>
+          </div>
+
+          {/* Поиск: фраза → список совпадений с контекстом */}
+          {showSearch && (
+            <div
+              className={`mt-2 p-2 rounded text-left ${
+                isDark ? "bg-gray-800" : "bg-white border border-gray-300"
+              }`}
+            >
+              <form className="controls-row" onSubmit={runSearch}>
+                <input
+                  type="search"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  placeholder="Имя или фраза"
+                  className="flex-1 px-2 py-1 rounded text-gray-900"
+                  autoFocus
+                />
+                <button type="submit" className="btn" disabled={!searchQuery.trim()}>
+                  Найти
+                </button>
+              </form>
+
+              {searchResults && (
+                <>
+                  <div className="text-sm opacity-75 my-1">
+                    {searchResults.length === 0
+                      ? "Ничего не найдено"
+                      : `Найдено: ${searchResults.length}${
+                          searchResults.length >= SEARCH_RESULTS_LIMIT ? "+" : ""
+                        }`}
+                  </div>
+                  <ul className="overflow-y-auto space-y-1" style={{ maxHeight: "30vh" }}>
+                    {searchResults.map((r) => (
+                      <li key={r.index}>
+                        <button
+                          type="button"
+                          className="w-full text-left text-sm"
+                          onClick={() => onSeek(r.index)}
+                          disabled={isAngleMode}
+                        >
+                          <span className="opacity-60">{r.percent}% · </span>
+                          …{r.before}{" "}
+                          <mark style={{ background: "rgba(99, 102, 241, 0.45)", color: "inherit" }}>
+                            {r.match}
+                          </mark>{" "}
+                          {r.after}…
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
+          {showAnnotations && (
+            <AnnotationsPanel
+              annotations={annotations}
+              words={words}
+              wordsLength={wordsLength}
+              isDark={isDark}
+              disabled={isAngleMode}
+              onJump={(a) => {
+                setIsPlaying(false);
+                jumpToPosition(a.start);
+              }}
+              onDelete={(a) => deleteAnnotation?.(a.id)}
+            />
+          )}
+
+          {/* Список глав */}
+          {showToc && toc.length > 0 && (
+            <ul
+              className={`mt-2 p-2 rounded text-left overflow-y-auto ${
+                isDark ? "bg-gray-800" : "bg-white border border-gray-300"
+              }`}
+              style={{ maxHeight: "30vh" }}
+            >
+              {toc.map((ch, i) => (
+                <li key={`${ch.wordIndex}-${i}`}>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      goToChapter(i);
+                      setShowToc(false);
+                    }}
+                    className={`w-full text-left truncate ${btnClass(i === chapterIndex)}`}
+                    style={{ paddingLeft: `${1 + ch.level * 1.25}rem` }}
+                    disabled={isAngleMode}
+                  >
+                    {ch.title}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
 {/* Панель управления */}
@@ -814,32 +1764,122 @@ const toggleFullscreen = () => {
   {isAngleMode ? (isPairPlaying ? "Пауза" : "Старт") : (isPlaying ? "Пауза" : "Старт")}
 </button>
 
+      <button
+        className={btnClass(showSettings)}
+        onClick={() => setShowSettings(v => !v)}
+        aria-pressed={showSettings}
+        title="Пресеты и отдельные настройки для этой книги"
+      >
+        ⚙ Настройки
+      </button>
+
+      <button
+        className={btnClass(showShortcuts)}
+        onClick={() => setShowShortcuts(true)}
+        aria-pressed={showShortcuts}
+        title="Список клавиш и их настройка (?)"
+      >
+        ⌨ Клавиши
+      </button>
+
+      <button
+        className={btnClass(showGestures)}
+        onClick={() => setShowGestures(v => !v)}
+        aria-pressed={showGestures}
+        title="Касания и проведения по области чтения"
+      >
+        👆 Жесты
+      </button>
     </div>
 
+    {showGestures && <GestureSettings gestures={gestures} onChange={changeGestures} isDark={isDark} />}
+
+    {showSettings && (
+      <SettingsPanel
+        presets={presets}
+        onApplyPreset={applyPreset}
+        onSavePreset={savePreset}
+        onDeletePreset={deletePreset}
+        onReset={resetSettings}
+        hasBookSettings={hasBookSettings}
+        onToggleBookSettings={setHasBookSettings}
+        isDark={isDark}
+      />
+    )}
+
     {/* 2-я строка: WPM */}
     <div className="controls-row compactable" style={{ marginTop: 12 }}>
       <span>WPM:</span>
       <button className="btn" onClick={decWpm}>–</button>
       <strong>{wpm}</strong>
       <button className="btn" onClick={incWpm}>+</button>
+      <button
+        onClick={() => setShowTiming(v => !v)}
+        className={btnClass(showTiming)}
+        aria-pressed={showTiming}
+        title="Паузы на длинных словах и знаках препинания"
+      >
+        Темп
+      </button>
+      <button
+        onClick={() => setComprehension((c) => ({ ...c, enabled: !c.enabled }))}
+        className={btnClass(comprehension.enabled)}
+        aria-pressed={comprehension.enabled}
+        title="Вопросы по прочитанному отрывку"
+      >
+        Проверка понимания
+      </button>
+      {comprehension.enabled && (
+        <select
+          value={String(comprehension.interval)}
+          onChange={(e) => {
+            const v = e.target.value;
+            setComprehension((c) => ({ ...c, interval: v === "chapter" ? v : Number(v) }));
+          }}
+          className="px-2 py-1 rounded text-gray-900"
+        >
+          {COMPREHENSION_INTERVALS.map(({ value, label }) => (
+            <option key={value} value={String(value)}>
+              {label}
+            </option>
+          ))}
+        </select>
+      )}
+      {lastQuizResult && (
+        <span className="text-sm opacity-75">
+          Понимание: {comprehensionPercent(lastQuizResult.correct, lastQuizResult.total)}% при{" "}
+          {lastQuizResult.wpm} WPM
+        </span>
+      )}
     </div>
 
     {/* 3-я строка: Символов (только обычный режим) */}
-    {!isAngleMode && (
+    {!isAngleMode && !isSingleWord && (
       <div className="controls-row compactable" style={{ marginTop: 12 }}>
         <span>Символов:</span>
-        <button className="btn" onClick={() => setCharLimit(v => Math.max(10, v - 5))}>–</button>
+        <button className="btn" onClick={decChars}>–</button>
         <strong>{charLimit}</strong>
-        <button className="btn" onClick={() => setCharLimit(v => Math.min(100, v + 5))}>+</button>
+        <button className="btn" onClick={incChars}>+</button>
+        {CHUNK_MODES.map(({ value, label, title }) => (
+          <button
+            key={value}
+            onClick={() => setChunkMode(value)}
+            className={btnClass(chunkMode === value)}
+            aria-pressed={chunkMode === value}
+            title={title}
+          >
+            {label}
+          </button>
+        ))}
       </div>
     )}
 
     {/* 4-я строка: Размер */}
     <div className="controls-row compactable" style={{ marginTop: 12 }}>
       <span>Размер:</span>
-      <button className="btn" onClick={() => setFontSize(v => Math.max(12, v - 2))}>–</button>
+      <button className="btn" onClick={decFont}>–</button>
       <strong>{fontSize}</strong>
-      <button className="btn" onClick={() => setFontSize(v => Math.min(120, v + 2))}>+</button>
+      <button className="btn" onClick={incFont}>+</button>
     </div>
 
     {/* 5-я строка: тогглы */}
@@ -854,6 +1894,17 @@ const toggleFullscreen = () => {
       <button onClick={() => setHalfVisible(v => !v)} className={btnClass(halfVisible)} aria-pressed={halfVisible}>
         Полтекста
       </button>
+      {DRILL_TOGGLES.map(({ key, label, title }) => (
+        <button
+          key={key}
+          onClick={() => toggleDrill(key)}
+          className={btnClass(drills[key])}
+          aria-pressed={drills[key]}
+          title={title}
+        >
+          {label}
+        </button>
+      ))}
       <button
         onClick={() => setShowGuide(v => !v)}
         className={btnClass(showGuide)}
@@ -862,6 +1913,14 @@ const toggleFullscreen = () => {
       >
         Ориентир
       </button>
+      <button
+        onClick={toggleSingleWord}
+        className={btnClass(isSingleWord)}
+        aria-pressed={isSingleWord}
+        title="По одному слову, опорная буква по центру"
+      >
+        Одно слово
+      </button>
       <button
         onClick={() => setIsAngleMode(m => !m)}
         className={btnClass(isAngleMode)}
@@ -874,18 +1933,60 @@ const toggleFullscreen = () => {
         onClick={toggleTraining}
         className={btnClass(isTraining)}
         aria-pressed={isTraining}
-        title="Авто-изменение расстояния каждые 3 пары"
+        title={`Авто-изменение расстояния по программе «${trainingProgram.name}»`}
       >
         Тренировка
       </button>
+      <button
+        onClick={() => setShowProgramEditor((v) => !v)}
+        className={btnClass(showProgramEditor)}
+        aria-pressed={showProgramEditor}
+        title="Программы тренировки: диапазон, шаг, узор, разгон WPM"
+      >
+        Программа
+      </button>
     </div>
 
+    {/* Итог последней тренировки */}
+    {trainingSummary && (
+      <div className="controls-row compactable text-sm" style={{ marginTop: 8 }}>
+        <span>Итог тренировки {formatTrainingSummary(trainingSummary)}</span>
+        <button className="btn" onClick={() => setTrainingSummary(null)}>
+          ✕
+        </button>
+      </div>
+    )}
+
+    {/* Редактор программ тренировки */}
+    {showProgramEditor && (
+      <TrainingProgramEditor
+        key={trainingProgram.id}
+        programs={trainingPrograms}
+        selected={trainingProgram}
+        onSelect={selectTrainingProgram}
+        onSave={saveTrainingProgram}
+        onDelete={deleteTrainingProgram}
+        summaries={trainingSummaries}
+        isDark={isDark}
+      />
+    )}
+
+    {/* Доля скрытых букв для «Случайные» */}
+    {drills.randomMask && (
+      <div className="controls-row compactable" style={{ marginTop: 12 }}>
+        <span>Скрыть букв:</span>
+        <button className="btn" onClick={() => changeMaskRate(-MASK_RATE_STEP)}>–</button>
+        <strong>{Math.round(drills.maskRate * 100)}%</strong>
+        <button className="btn" onClick={() => changeMaskRate(MASK_RATE_STEP)}>+</button>
+      </div>
+    )}
+
     {/* 6-я строка: Расстояние для «Угол зрения» */}
     {isAngleMode && (
       <div className="flex items-center gap-3 mt-2">
         <label className="text-sm">Расстояние:</label>
         <button
-          onClick={() => setPairGap(g => Math.max(0, g - 10))}
+          onClick={decGap}
           className="w-8 h-8 rounded bg-gray-700"
           title="Меньше"
         >
@@ -893,7 +1994,7 @@ const toggleFullscreen = () => {
         </button>
         <span className="w-24 text-center">{pairGap}px</span>
         <button
-          onClick={() => setPairGap(g => Math.min(1200, g + 10))}
+          onClick={incGap}
           className="w-8 h-8 rounded bg-gray-700"
           title="Больше"
         >
@@ -901,6 +2002,29 @@ const toggleFullscreen = () => {
         </button>
       </div>
     )}
+
+    {/* 7-я строка: коэффициенты темпа */}
+    {showTiming && (
+      <div className="controls-row compactable" style={{ marginTop: 12, flexWrap: "wrap" }}>
+        {TIMING_FIELDS.map(({ key, label, min, max, step }) => (
+          <label key={key} className="flex items-center gap-2 text-sm">
+            <span>{label}:</span>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={timing[key]}
+              onChange={(e) => setTiming((t) => ({ ...t, [key]: Number(e.target.value) }))}
+            />
+            <span className="w-8">{timing[key].toFixed(1)}</span>
+          </label>
+        ))}
+        <button className="btn" onClick={() => setTiming(DEFAULT_TIMING)}>
+          Сбросить
+        </button>
+      </div>
+    )}
   </>
 )}
 
@@ -915,64 +2039,285 @@ const toggleFullscreen = () => {
 /* =============================
    Основной компонент приложения
 ============================= */
-const PHASES = { BOOKS: "books", READING: "reading" };
+const PHASES = {
+  BOOKS: "books",
+  READING: "reading",
+  STATS: "stats",
+  ASSESSMENT: "assessment",
+  EXERCISES: "exercises",
+};
+const DRILLS_SESSION_KEY = "speedreader-drills";
+const TRAINING_SUMMARIES_SHOWN = 5;
 
 export default function SpeedReaderApp() {
   const [phase, setPhase] = useState(PHASES.BOOKS);
   const [books, setBooks] = useState([]);
-  const [currentBook, setCurrentBook] = useState(null);
+  const [currentBook, setCurrentBook] = useState(null); // метаданные (STORES.BOOKS)
+  const [bookContent, setBookContent] = useState(null); // toc, сноски (STORES.CONTENTS)
+  const [annotations, setAnnotations] = useState([]); // закладки и выделения открытой книги
   const [words, setWords] = useState([]);
 
-  // Настройки чтения
-  const [wpm, setWpm] = useState(300);
-  const [charLimit, setCharLimit] = useState(25);
-  const [fontSize, setFontSize] = useState(48);
-  const [isBold, setIsBold] = useState(false);
-  const [isUpsideDown, setIsUpsideDown] = useState(false);
-  const [hideVowels, setHideVowels] = useState(false);
-  const [halfVisible, setHalfVisible] = useState(false);
-  const [isDark, setIsDark] = useState(true);
+  // Импорт книг в воркере (состояние панели импорта)
+  const [importState, setImportState] = useState(null);
+  const [openAfterImportId, setOpenAfterImportId] = useState(null); // книга из файла, открытого в ОС
+  const importWorkerRef = useRef(null);
+
+  // Настройки чтения: при старте — глобальные из localStorage,
+  // у книги со своими настройками — её (см. эффект сохранения ниже)
+  const [initialSettings] = useState(loadSettings);
+  const [wpm, setWpm] = useState(initialSettings.wpm);
+  const [charLimit, setCharLimit] = useState(initialSettings.charLimit);
+  const [chunkMode, setChunkMode] = useState(initialSettings.chunkMode);
+  const [fontSize, setFontSize] = useState(initialSettings.fontSize);
+  const [isBold, setIsBold] = useState(initialSettings.isBold);
+  const [isUpsideDown, setIsUpsideDown] = useState(initialSettings.isUpsideDown);
+  // тренировки с маскировкой — запоминаются на время сессии вкладки
+  const [drills, setDrills] = useState(() => {
+    try {
+      return { ...DEFAULT_DRILLS, ...JSON.parse(sessionStorage.getItem(DRILLS_SESSION_KEY) || "{}") };
+    } catch {
+      return DEFAULT_DRILLS;
+    }
+  });
+  const [halfVisible, setHalfVisible] = useState(initialSettings.halfVisible);
+  const [isDark, setIsDark] = useState(initialSettings.isDark);
+  const [presets, setPresets] = useState(loadPresets);
+  const [syncConfig, setSyncConfig] = useState(loadSyncConfig);
+  const [syncState, setSyncState] = useState({ status: "idle", result: null, error: null, at: null });
+  const [timing, setTiming] = useState(() => pickTiming(initialSettings)); // коэффициенты движка темпа
+  const [comprehension, setComprehension] = useState(() => pickComprehension(initialSettings)); // проверка понимания
+
+  // Программы тренировки «Угол зрения»: встроенные + свои (STORES.TRAINING_PROGRAMS)
+  const [customPrograms, setCustomPrograms] = useState([]);
+  const [trainingProgramId, setTrainingProgramId] = useState(DEFAULT_PROGRAM.id);
+  const [trainingSummaries, setTrainingSummaries] = useState([]); // последние итоги
+  const trainingPrograms = React.useMemo(() => [...TRAINING_PRESETS, ...customPrograms], [customPrograms]);
+  const trainingProgram = trainingPrograms.find((p) => p.id === trainingProgramId) || DEFAULT_PROGRAM;
 
   // «Угол зрения»
   const [isPeripheral, setIsPeripheral] = useState(false);
+  const [isAngleMode, setIsAngleMode] = useState(initialSettings.isAngleMode);
+  const [pairGap, setPairGap] = useState(initialSettings.pairGap); // px
+
+  // RSVP «Одно слово»
+  const [isSingleWord, setIsSingleWord] = useState(false);
   const [peripheralGap, setPeripheralGap] = useState(160); // px
 
   const pairStep = isPeripheral ? 2 : 1;
 
+  // концы абзацев — для пауз, знака ¶ и фраз (флаги слов, см. tokens.js)
+  const isParagraphEnd = React.useMemo(() => {
+    const marks = bookContent?.marks || [];
+    return (i) => hasFlag(marks[i], TOKEN_FLAGS.PARAGRAPH_END);
+  }, [bookContent]);
+
   const {
     position,
     isPlaying,
     displayedText,
+    chunkEnd,
     togglePlay,
     resetPosition,
     jumpToPosition,
     setIsPlaying,
-  } = useSpeedReader(words, wpm, charLimit, pairStep);
+    setPosition,
+    timingEngine,
+  } = useSpeedReader(
+    words,
+    wpm,
+    // лимит в 1 символ = ровно одно слово (длинное слово всё равно показывается целиком)
+    isSingleWord ? 1 : charLimit,
+    pairStep,
+    timing,
+    isParagraphEnd,
+    // «Одно слово» — всегда по одному, без склейки служебных слов
+    isSingleWord ? "chars" : chunkMode
+  );
 
-  const toggleTheme = useCallback(() => {
-    setIsDark((prev) => {
-      const next = !prev;
-      document.body.classList.toggle("dark", next);
-      return next;
-    });
+  useEffect(() => {
+    sessionStorage.setItem(DRILLS_SESSION_KEY, JSON.stringify(drills));
+  }, [drills]);
+
+  // Статистика: трекер сессии открытой книги
+  const sessionTrackerRef = useRef(null);
+  const playbackRef = useRef({ active: false, mode: "chunk" });
+  const positionRef = useRef(position);
+  useEffect(() => { positionRef.current = position; }, [position]);
+
+  const reportPlayback = useCallback((active, mode) => {
+    playbackRef.current = { active, mode };
+    sessionTrackerRef.current?.setPlaying(active, mode, positionRef.current);
+  }, []);
+
+  const handleQuizResult = useCallback((correct, total) => {
+    sessionTrackerRef.current?.recordQuiz(correct, total);
+  }, []);
+
+  // закрывает текущую сессию и сохраняет её (если было что сохранять)
+  const finishSession = useCallback(async () => {
+    const record = sessionTrackerRef.current?.finish(positionRef.current);
+    if (!record) return;
+    try {
+      await db.put(STORES.SESSIONS, record);
+    } catch (e) {
+      console.error("Не удалось сохранить сессию чтения:", e);
+    }
   }, []);
 
+  const toggleTheme = useCallback(() => setIsDark((prev) => !prev), []);
+
+  useEffect(() => {
+    document.body.classList.toggle("dark", isDark);
+  }, [isDark]);
+
+  /* ---------- Сохранение настроек ---------- */
+
+  const readerSettings = React.useMemo(
+    () => ({
+      wpm, charLimit, chunkMode, fontSize, isBold, isUpsideDown, halfVisible, isDark, pairGap, isAngleMode,
+      ...timing,
+      comprehensionEnabled: comprehension.enabled,
+      comprehensionInterval: comprehension.interval,
+    }),
+    [wpm, charLimit, chunkMode, fontSize, isBold, isUpsideDown, halfVisible, isDark, pairGap, isAngleMode, timing, comprehension]
+  );
+
+  const applySettings = useCallback((s) => {
+    setWpm(s.wpm);
+    setCharLimit(s.charLimit);
+    setChunkMode(s.chunkMode);
+    setFontSize(s.fontSize);
+    setIsBold(s.isBold);
+    setIsUpsideDown(s.isUpsideDown);
+    setHalfVisible(s.halfVisible);
+    setPairGap(s.pairGap);
+    setIsAngleMode(s.isAngleMode);
+    setTiming(pickTiming(s));
+    setComprehension(pickComprehension(s));
+  }, []);
+
+  // пока открыта книга со своими настройками, изменения идут в книгу (кроме темы)
+  const bookSettingsOn = phase === PHASES.READING && !!currentBook?.settings;
+  const currentBookId = currentBook?.id;
+  useEffect(() => {
+    if (!bookSettingsOn) {
+      saveSettings(readerSettings);
+      return;
+    }
+    saveSettings({ ...loadSettings(), isDark: readerSettings.isDark });
+    db.update(STORES.BOOKS, currentBookId, { settings: pickReaderSettings(readerSettings) })
+      .then((updated) => setBooks((arr) => arr.map((b) => (b.id === updated.id ? updated : b))))
+      .catch((e) => console.error("Не удалось сохранить настройки книги:", e));
+  }, [readerSettings, bookSettingsOn, currentBookId]);
+
+  const handleToggleBookSettings = useCallback(
+    async (enabled) => {
+      if (!currentBook) return;
+      try {
+        const updated = await db.update(STORES.BOOKS, currentBook.id, {
+          settings: enabled ? pickReaderSettings(readerSettings) : null,
+        });
+        setCurrentBook(updated);
+        setBooks((arr) => arr.map((b) => (b.id === updated.id ? updated : b)));
+        // без своих настроек книга читается с глобальными
+        if (!enabled) applySettings(loadSettings());
+      } catch (e) {
+        alert("Не удалось изменить настройки книги: " + e.message);
+      }
+    },
+    [currentBook, readerSettings, applySettings]
+  );
+
+  const handleApplyPreset = useCallback(
+    (preset) => applySettings({ ...readerSettings, ...preset.settings }),
+    [readerSettings, applySettings]
+  );
+
+  const handleSavePreset = useCallback(
+    (name) =>
+      setPresets((list) => {
+        const next = upsertPreset(list, name, readerSettings);
+        savePresets(next);
+        return next;
+      }),
+    [readerSettings]
+  );
+
+  const handleDeletePreset = useCallback(
+    (name) =>
+      setPresets((list) => {
+        const next = list.filter((p) => p.name !== name);
+        savePresets(next);
+        return next;
+      }),
+    []
+  );
+
   // Загрузка списка книг при старте
   useEffect(() => {
     (async () => {
-      const all = await db.getAll(STORES.BOOKS);
-      setBooks(all);
+      try {
+        setBooks(await db.getAll(STORES.BOOKS));
+      } catch (e) {
+        console.error("Не удалось открыть библиотеку:", e);
+        alert("Не удалось открыть библиотеку: " + e.message);
+      }
     })();
   }, []);
 
+  /* ---------- Синхронизация ---------- */
+
+  // при закрытии/скрытии вкладки полная синхронизация не успеет — там pushOnExit
+  const runSync = useCallback(async () => {
+    if (!isSyncReady(syncConfig)) return;
+    setSyncState((s) => ({ ...s, status: "running", error: null }));
+    try {
+      const result = await syncLibrary(syncConfig, confirmSyncConflict);
+      setBooks(await db.getAll(STORES.BOOKS));
+      setSyncState({ status: "done", result, error: null, at: new Date().toISOString() });
+    } catch (e) {
+      console.error("Не удалось синхронизировать:", e);
+      setSyncState((s) => ({ ...s, status: "error", error: e.message }));
+    }
+  }, [syncConfig]);
+
+  const handleSaveSyncConfig = useCallback((config) => {
+    saveSyncConfig(config);
+    setSyncConfig(config);
+  }, []);
+
+  // при старте и после смены настроек — подтянуть позиции с других устройств
+  useEffect(() => {
+    runSync();
+  }, [runSync]);
+
+  // Свои программы тренировки и последние итоги
+  const loadTrainingData = useCallback(async () => {
+    try {
+      setCustomPrograms(await db.getAll(STORES.TRAINING_PROGRAMS));
+      const sessions = await db.getAll(STORES.TRAINING_SESSIONS);
+      setTrainingSummaries(sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt)).slice(0, TRAINING_SUMMARIES_SHOWN));
+    } catch (e) {
+      console.error("Не удалось загрузить программы тренировки:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrainingData();
+  }, [loadTrainingData]);
+
+  // Прогресс — маленькая запись в метаданные, содержимое книги не трогаем
+  const saveProgress = useCallback(async (bookId, progress) => {
+    const updated = await db.update(STORES.BOOKS, bookId, { progress, updatedAt: new Date().toISOString() });
+    setBooks((arr) => arr.map((b) => (b.id === updated.id ? updated : b)));
+  }, []);
+
   // Автосохранение позиции при закрытии/скрытии
   useEffect(() => {
     const handleSaveOnExit = async () => {
       if (currentBook && currentBook.id != null) {
-        const updated = { ...currentBook, progress: position };
         try {
-          await db.put(STORES.BOOKS, updated);
-          setBooks((arr) => arr.map((b) => (b.id === updated.id ? updated : b)));
+          await saveProgress(currentBook.id, position);
         } catch (e) {
           console.error("Не удалось сохранить позицию при выходе:", e);
         }
@@ -980,7 +2325,18 @@ export default function SpeedReaderApp() {
     };
     const onBeforeUnload = () => handleSaveOnExit();
     const onVisibilityChange = () => {
-      if (document.visibilityState === "hidden") handleSaveOnExit();
+      if (document.visibilityState !== "hidden") return;
+      handleSaveOnExit();
+      // на сервер — сразу и без чтения: после hidden страницу могут выгрузить в любой момент
+      if (currentBook?.id != null && isSyncReady(syncConfig)) {
+        const book = books.find((b) => b.id === currentBook.id) || currentBook;
+        pushOnExit(syncConfig, [{ ...book, progress: position, updatedAt: new Date().toISOString() }]);
+      }
+      // вкладку могут закрыть, не вернувшись, — сессию пишем сейчас,
+      // а если чтение идёт дальше, следующая начинается сразу
+      finishSession();
+      const { active, mode } = playbackRef.current;
+      if (active) sessionTrackerRef.current?.setPlaying(true, mode, positionRef.current);
     };
     window.addEventListener("beforeunload", onBeforeUnload);
     document.addEventListener("visibilitychange", onVisibilityChange);
@@ -988,87 +2344,111 @@ export default function SpeedReaderApp() {
       window.removeEventListener("beforeunload", onBeforeUnload);
       document.removeEventListener("visibilitychange", onVisibilityChange);
     };
-  }, [currentBook, position]);
+  }, [currentBook, position, books, syncConfig, saveProgress, finishSession]);
 
   /* ---------- Действия ---------- */
 
-  const handleFileUpload = useCallback(async (file) => {
-    try {
-      let arrayBuffer = await file.arrayBuffer();
-if (/\.zip$/i.test(file.name)) {
-  const zip = await JSZip.loadAsync(arrayBuffer);
-  const fb2Name = Object.keys(zip.files).find((n) => /\.fb2$/i.test(n));
-  if (!fb2Name) throw new Error("ZIP не содержит .fb2 файлов");
-  arrayBuffer = await zip.files[fb2Name].async("arraybuffer");
-
-} else if (/\.rar$/i.test(file.name)) {
-  // 1. Всегда подаём Uint8Array на вход
-  const u8Input = new Uint8Array(arrayBuffer);
-
-  // 2. Создаём extractor
-  if (typeof createExtractorFromData !== "function") {
-    throw new Error("RAR: createExtractorFromData недоступен (импорт не загрузился)");
-  }
-  const extractor = await createExtractorFromData({ data: u8Input });
-
-  // 3. Получаем список файлов в архиве и ищем первый .fb2
-  const { fileHeaders } = extractor.getFileList();
-  const fb2Header = fileHeaders.find(h => /\.fb2$/i.test(h.name));
-  if (!fb2Header) throw new Error("RAR не содержит .fb2 файлов");
-
-  // 4. Извлекаем именно этот .fb2
-  const { files } = extractor.extract({ files: [fb2Header.name] });
-  const fileEntry = files?.[0];
-
-  // 5. Берём содержимое из fileEntry.extraction (НЕ extracted)
-  const u8 = fileEntry?.extraction; // Uint8Array
-  if (!(u8 && u8.byteLength)) {
-    throw new Error("Не удалось извлечь .fb2 из RAR");
-  }
-
-  // 6. Превращаем его обратно в ArrayBuffer без «хвостов»
-  arrayBuffer = u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
-}
-
+  // Импорт целиком в воркере: UI получает только этапы и итоги по файлам.
+  // openAfterImport — сразу открыть первую импортированную книгу (файл открыт из ОС)
+  const handleFileUpload = useCallback((file, { openAfterImport = false } = {}) => {
+    importWorkerRef.current?.terminate();
+    const worker = new Worker(new URL("./importWorker.js", import.meta.url), { type: "module" });
+    importWorkerRef.current = worker;
+
+    setImportState({
+      fileName: file.name,
+      status: "running", // running | picking | done | error | cancelled
+      stage: "unpack", // первый этап, см. importWorker.js
+      name: file.name,
+      index: 0,
+      total: 1,
+      entries: null,
+      results: [],
+      error: null,
+    });
 
+    const importedIds = [];
+    const finish = async (status, error = null) => {
+      worker.terminate();
+      if (importWorkerRef.current === worker) importWorkerRef.current = null;
+      setImportState((s) => s && { ...s, status, error });
+      setBooks(await db.getAll(STORES.BOOKS));
+      if (openAfterImport && importedIds.length) setOpenAfterImportId(importedIds[0]);
+    };
 
-      const xmlText = decodeFB2(arrayBuffer);
-      const plainText = parseFB2Text(xmlText);
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") {
+        const { stage, name, index, total } = msg;
+        setImportState((s) => s && { ...s, status: "running", stage, name, index, total });
+      } else if (msg.type === "entries") {
+        setImportState((s) => s && { ...s, status: "picking", entries: msg.entries });
+      } else if (msg.type === "result") {
+        if (msg.ok) importedIds.push(msg.id);
+        setImportState((s) => s && { ...s, results: [...s.results, msg] });
+      } else if (msg.type === "done") {
+        finish("done");
+      } else if (msg.type === "error") {
+        finish("error", msg.error);
+      }
+    };
+    worker.onerror = (e) => {
+      console.error(e);
+      finish("error", e.message || "Сбой воркера импорта");
+    };
 
-      const wordsArr = plainText
-        .replace(/\s+/g, " ")
-        .replace(/[«»]/g, '"')
-        .trim()
-        .split(/\s+/);
+    worker.postMessage({ cmd: "open", file });
+  }, []);
 
-      const newBook = {
-        title: file.name.replace(/\.(fb2|zip|rar)$/i, ""),
-        words: wordsArr,
-        progress: 0,
-        createdAt: new Date().toISOString(),
-      };
+  // Выбор книг из архива: каждая станет отдельной записью
+  const handleImportFromArchive = useCallback((names) => {
+    const worker = importWorkerRef.current;
+    if (!worker) return;
+    setImportState((s) => s && { ...s, status: "running", entries: null, total: names.length });
+    worker.postMessage({ cmd: "import", names });
+  }, []);
 
-      await db.put(STORES.BOOKS, newBook);
-      const updated = await db.getAll(STORES.BOOKS);
-      setBooks(updated);
-      alert("Книга добавлена.");
-    } catch (e) {
-      console.error(e);
-      alert("Ошибка при загрузке книги: " + e.message);
-    }
+  const handleCancelImport = useCallback(async () => {
+    importWorkerRef.current?.terminate();
+    importWorkerRef.current = null;
+    setImportState((s) => s && { ...s, status: "cancelled", entries: null });
+    // часть книг из архива могла успеть сохраниться
+    setBooks(await db.getAll(STORES.BOOKS));
   }, []);
 
+  // воркер не должен пережить приложение
+  useEffect(() => () => importWorkerRef.current?.terminate(), []);
+
+  // Содержимое книги грузим только при открытии
   const handleOpenBook = useCallback(
-    (book) => {
+    async (book) => {
+      let content;
+      try {
+        content = await db.get(STORES.CONTENTS, book.id);
+      } catch (e) {
+        console.error(e);
+      }
+      if (!content?.words?.length) {
+        alert("Не удалось открыть книгу: содержимое не найдено");
+        return;
+      }
       setCurrentBook(book);
-      setWords(book.words || []);
+      if (book.settings) applySettings(effectiveSettings(loadSettings(), book.settings));
+      setBookContent(content);
+      sessionTrackerRef.current = createSessionTracker(book);
+      setWords(content.words);
+      setAnnotations([]);
+      db.getAllByIndex(STORES.ANNOTATIONS, "bookId", book.id)
+        .then(setAnnotations)
+        .catch((e) => console.error("Не удалось загрузить закладки:", e));
       resetPosition();
+      // jumpToPosition ещё видит старый words — ограничиваем по новой книге сами
       if (book.progress) {
-        jumpToPosition(book.progress);
+        setPosition(Math.max(0, Math.min(book.progress, content.words.length - 1)));
       }
       setPhase(PHASES.READING);
     },
-    [jumpToPosition, resetPosition]
+    [resetPosition, setPosition, applySettings]
   );
 
   const handleDeleteBook = useCallback(
@@ -1076,11 +2456,13 @@ if (/\.zip$/i.test(file.name)) {
       if (!bookId) return;
       if (window.confirm("Удалить книгу безвозвратно?")) {
         try {
-          await db.delete(STORES.BOOKS, bookId);
+          await deleteBook(bookId);
           const all = await db.getAll(STORES.BOOKS);
           setBooks(all);
           if (currentBook?.id === bookId) {
+            sessionTrackerRef.current = null;
             setCurrentBook(null);
+            setBookContent(null);
             setWords([]);
             setPhase(PHASES.BOOKS);
           }
@@ -1093,17 +2475,140 @@ if (/\.zip$/i.test(file.name)) {
   );
 
   const handleBackFromReader = useCallback(async () => {
+    setIsPlaying(false);
+    await finishSession();
+    sessionTrackerRef.current = null;
     if (currentBook) {
-      const updated = { ...currentBook, progress: position };
       try {
-        await db.put(STORES.BOOKS, updated);
-        setBooks((arr) => arr.map((b) => (b.id === updated.id ? updated : b)));
+        await saveProgress(currentBook.id, position);
       } catch (e) {
         console.error("Не удалось сохранить позицию:", e);
       }
     }
+    // у книги были свои настройки — возвращаем глобальные
+    if (currentBook?.settings) applySettings(loadSettings());
     setPhase(PHASES.BOOKS);
-  }, [currentBook, position]);
+    runSync();
+  }, [currentBook, position, saveProgress, setIsPlaying, finishSession, applySettings, runSync]);
+
+  // Файлы, открытые через ОС («Открыть с помощью» для установленного приложения).
+  // Воркер импортирует по одному файлу — берём первый
+  useEffect(() => {
+    if (!("launchQueue" in window)) return;
+    window.launchQueue.setConsumer(async ({ files }) => {
+      if (!files?.length) return;
+      try {
+        handleFileUpload(await files[0].getFile(), { openAfterImport: true });
+      } catch (e) {
+        alert("Не удалось открыть файл: " + e.message);
+      }
+    });
+  }, [handleFileUpload]);
+
+  // книга из такого файла импортирована — сразу в ридер (текущую закрываем как обычно)
+  useEffect(() => {
+    if (openAfterImportId == null) return;
+    setOpenAfterImportId(null);
+    (async () => {
+      const book = await db.get(STORES.BOOKS, openAfterImportId);
+      if (!book) return;
+      if (phase === PHASES.READING) await handleBackFromReader();
+      setImportState(null);
+      await handleOpenBook(book);
+    })();
+  }, [openAfterImportId, phase, handleBackFromReader, handleOpenBook]);
+
+  const handleAddAnnotation = useCallback(
+    async (annotation) => {
+      if (!currentBook) return;
+      const record = { ...annotation, bookId: currentBook.id, createdAt: new Date().toISOString() };
+      try {
+        const id = await db.put(STORES.ANNOTATIONS, record);
+        setAnnotations((arr) => [...arr, { ...record, id }]);
+      } catch (e) {
+        alert("Не удалось сохранить: " + e.message);
+      }
+    },
+    [currentBook]
+  );
+
+  const handleDeleteAnnotation = useCallback(async (id) => {
+    try {
+      await db.delete(STORES.ANNOTATIONS, id);
+      setAnnotations((arr) => arr.filter((a) => a.id !== id));
+    } catch (e) {
+      alert("Не удалось удалить: " + e.message);
+    }
+  }, []);
+
+  // оценка скорости — с текущего места книги; чтение на это время останавливаем
+  const handleStartAssessment = useCallback(() => {
+    setIsPlaying(false);
+    reportPlayback(false, playbackRef.current.mode);
+    setPhase(PHASES.ASSESSMENT);
+  }, [setIsPlaying, reportPlayback]);
+
+  // endPosition — конец прочитанного отрывка (null — вернуться на прежнее место)
+  const handleAssessmentDone = useCallback(
+    (endPosition) => {
+      if (endPosition != null) jumpToPosition(endPosition);
+      setPhase(PHASES.READING);
+    },
+    [jumpToPosition]
+  );
+
+  // после восстановления копии перечитываем всё, что могло измениться
+  const handleRestoreBackup = useCallback(
+    async (backup, options) => {
+      const result = await restoreBackup(backup, options);
+      setBooks(await db.getAll(STORES.BOOKS));
+      await loadTrainingData();
+      const settings = loadSettings();
+      applySettings(settings);
+      setIsDark(settings.isDark);
+      setPresets(loadPresets());
+      return result;
+    },
+    [applySettings, loadTrainingData]
+  );
+
+  // asNew — сохранить копией (встроенные программы всегда сохраняются копией)
+  const handleSaveTrainingProgram = useCallback(async (draft, asNew) => {
+    const program = normalizeProgram(draft);
+    if (asNew || isPreset(program)) delete program.id;
+    try {
+      const id = await db.put(STORES.TRAINING_PROGRAMS, program);
+      const saved = { ...program, id };
+      setCustomPrograms((arr) => [...arr.filter((p) => p.id !== id), saved]);
+      setTrainingProgramId(id);
+    } catch (e) {
+      alert("Не удалось сохранить программу: " + e.message);
+    }
+  }, []);
+
+  const handleDeleteTrainingProgram = useCallback(async (id) => {
+    if (!window.confirm("Удалить программу тренировки?")) return;
+    try {
+      await db.delete(STORES.TRAINING_PROGRAMS, id);
+      setCustomPrograms((arr) => arr.filter((p) => p.id !== id));
+      setTrainingProgramId(DEFAULT_PROGRAM.id);
+    } catch (e) {
+      alert("Не удалось удалить программу: " + e.message);
+    }
+  }, []);
+
+  const handleTrainingSummary = useCallback(
+    async (summary) => {
+      const record = { ...summary, bookId: currentBook?.id, bookTitle: currentBook?.title };
+      try {
+        const id = await db.put(STORES.TRAINING_SESSIONS, record);
+        setTrainingSummaries((arr) => [{ ...record, id }, ...arr].slice(0, TRAINING_SUMMARIES_SHOWN));
+      } catch (e) {
+        console.error("Не удалось сохранить итог тренировки:", e);
+      }
+    },
+    [currentBook]
+  );
 
   const handleSeek = useCallback(
     (newPos) => {
@@ -1124,15 +2629,51 @@ if (/\.zip$/i.test(file.name)) {
     return (
       <BooksView
         books={books}
+        wpm={wpm}
         onFileUpload={handleFileUpload}
         onOpenBook={handleOpenBook}
         onDeleteBook={handleDeleteBook}
+        importState={importState}
+        onImportFromArchive={handleImportFromArchive}
+        onCancelImport={handleCancelImport}
+        onCloseImport={() => setImportState(null)}
+        onOpenStats={() => setPhase(PHASES.STATS)}
+        onOpenExercises={() => setPhase(PHASES.EXERCISES)}
+        onRestoreBackup={handleRestoreBackup}
+        syncConfig={syncConfig}
+        onSaveSyncConfig={handleSaveSyncConfig}
+        syncState={syncState}
+        onSync={runSync}
         isDark={isDark}
         toggleTheme={toggleTheme}
       />
     );
   }
 
+  if (phase === PHASES.ASSESSMENT) {
+    return (
+      <AssessmentView
+        book={currentBook}
+        words={words}
+        from={position}
+        onApply={(rec) => {
+          setWpm(rec.wpm);
+          setCharLimit(rec.charLimit);
+        }}
+        onDone={handleAssessmentDone}
+        isDark={isDark}
+      />
+    );
+  }
+
+  if (phase === PHASES.EXERCISES) {
+    return <ExercisesView onBack={() => setPhase(PHASES.BOOKS)} isDark={isDark} toggleTheme={toggleTheme} />;
+  }
+
+  if (phase === PHASES.STATS) {
+    return <StatsView onBack={() => setPhase(PHASES.BOOKS)} isDark={isDark} toggleTheme={toggleTheme} />;
+  }
+
   if (phase === PHASES.READING) {
     const progressPercent =
       words.length > 0
@@ -1153,6 +2694,8 @@ if (/\.zip$/i.test(file.name)) {
           setWpm,
           charLimit,
           setCharLimit,
+          chunkMode,
+          setChunkMode,
           fontSize,
           setFontSize,
           isBold,
@@ -1162,10 +2705,12 @@ if (/\.zip$/i.test(file.name)) {
           progressPercent,
           isUpsideDown,
           setIsUpsideDown,
-          hideVowels,
-          setHideVowels,
+          drills,
+          setDrills,
           halfVisible,
           setHalfVisible,
+          isSingleWord,
+          setIsSingleWord,
           // Новое
           isPeripheral,
           setIsPeripheral,
@@ -1174,6 +2719,41 @@ if (/\.zip$/i.test(file.name)) {
           words,
           setIsPlaying,
           jumpToPosition,
+          toc: bookContent?.toc || [],
+          marks: bookContent?.marks || [],
+          isParagraphEnd,
+          timingEngine,
+          timing,
+          setTiming,
+          chunkEnd,
+          footnotes: bookContent?.footnotes || {},
+          noteRefs: bookContent?.noteRefs || [],
+          annotations,
+          addAnnotation: handleAddAnnotation,
+          deleteAnnotation: handleDeleteAnnotation,
+          reportPlayback,
+          comprehension,
+          setComprehension,
+          onQuizResult: handleQuizResult,
+          onStartAssessment: handleStartAssessment,
+          trainingProgram,
+          trainingPrograms,
+          selectTrainingProgram: setTrainingProgramId,
+          saveTrainingProgram: handleSaveTrainingProgram,
+          deleteTrainingProgram: handleDeleteTrainingProgram,
+          trainingSummaries,
+          onTrainingSummary: handleTrainingSummary,
+          isAngleMode,
+          setIsAngleMode,
+          pairGap,
+          setPairGap,
+          presets,
+          applyPreset: handleApplyPreset,
+          savePreset: handleSavePreset,
+          deletePreset: handleDeletePreset,
+          resetSettings: () => applySettings(DEFAULT_SETTINGS),
+          hasBookSettings: !!currentBook?.settings,
+          setHasBookSettings: handleToggleBookSettings,
         }}
       />
     );
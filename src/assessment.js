@@ -0,0 +1,67 @@
+/* =============================
+   Оценка скорости чтения
+   Отрывок читается обычным текстом в своём темпе, затем — проверка понимания.
+   По скорости и пониманию подбираем стартовые WPM и ширину фрагмента.
+============================= */
+import { isSentenceEnd } from "./tokens";
+import { roundSetting } from "./settings";
+
+export const ASSESSMENT_WORDS = 300;
+const MIN_PASSAGE_WORDS = 150;
+const SENTENCE_SEARCH = 100; // насколько далеко ищем границу предложения
+
+// ширина фрагмента (символов) по обычной скорости: быстрее читаешь — шире охват
+const CHAR_LIMIT_BY_WPM = [
+  { below: 150, charLimit: 15 },
+  { below: 250, charLimit: 20 },
+  { below: 350, charLimit: 25 },
+  { below: 500, charLimit: 30 },
+  { below: Infinity, charLimit: 35 },
+];
+
+/**
+ * Отрывок для оценки с позиции from: от начала предложения и до конца
+ * предложения, около ASSESSMENT_WORDS слов. Если до конца книги текста мало —
+ * берём начало книги. Вернёт { start, end } (end не включается).
+ */
+export function pickPassage(words, from) {
+  let start = Math.max(0, from);
+  if (words.length - start < MIN_PASSAGE_WORDS) start = 0;
+
+  if (start > 0 && !isSentenceEnd(words[start - 1])) {
+    const limit = Math.min(words.length - MIN_PASSAGE_WORDS, start + SENTENCE_SEARCH);
+    for (let i = start; i < limit; i++) {
+      if (isSentenceEnd(words[i])) {
+        start = i + 1;
+        break;
+      }
+    }
+  }
+
+  let end = Math.min(words.length, start + ASSESSMENT_WORDS);
+  const limit = Math.min(words.length, end + SENTENCE_SEARCH);
+  for (let i = end - 1; i < limit; i++) {
+    if (isSentenceEnd(words[i])) {
+      end = i + 1;
+      break;
+    }
+  }
+  return { start, end };
+}
+
+/**
+ * Итог оценки. comprehension — проценты или null (вопросов не нашлось).
+ * Хорошее понимание — стартуем чуть быстрее обычного чтения (в ридере нет
+ * возвратов взгляда), слабое — медленнее.
+ */
+export function assessmentResult(wordCount, durationMs, comprehension) {
+  const wpm = Math.round(wordCount / (durationMs / 60000));
+  const factor = comprehension == null || comprehension >= 70 ? 1.2 : comprehension >= 50 ? 1 : 0.8;
+  return {
+    wpm,
+    comprehension,
+    effectiveWpm: comprehension == null ? wpm : Math.round((wpm * comprehension) / 100),
+    recommendedWpm: roundSetting("wpm", wpm * factor), // пределы и шаг — как у регулятора в ридере
+    recommendedCharLimit: CHAR_LIMIT_BY_WPM.find((r) => wpm < r.below).charLimit,
+  };
+}
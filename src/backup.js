@@ -0,0 +1,187 @@
+/* =============================
+   Резервная копия библиотеки: один .zip со всей базой и настройками
+   manifest.json — версия формата, настройки, пресеты, клавиши и жесты;
+   books.json — метаданные книг с обложкой и аннотацией; contents/<id>.json — содержимое;
+   stores/<store>.json — закладки, статистика, тренировки и т. п.
+============================= */
+import { db, STORES, DB_VERSION, addBook, bookKey, splitBook } from "./db";
+import { loadSettings, saveSettings, loadPresets, savePresets, upsertPreset } from "./settings";
+import { loadKeymap, saveKeymap, normalizeKeymap } from "./keymap";
+import { loadGestures, saveGestures, normalizeGestures } from "./gestures";
+
+export const BACKUP_FORMAT = "speedreader-backup";
+export const BACKUP_VERSION = 1;
+
+// Что делать с книгой, которая уже есть в библиотеке
+export const CONFLICT_STRATEGIES = [
+  { value: "merge", label: "Объединить", title: "Оставить книгу, взять дальнюю позицию чтения, добавить закладки" },
+  { value: "newer", label: "Оставить новее", title: "Взять запись, которую меняли позже" },
+  { value: "duplicate", label: "Дублировать", title: "Добавить копию книги с пометкой «(копия)» в названии" },
+];
+
+// Название копии, которого ещё нет в библиотеке: без него у копии был бы тот же
+// bookKey, и синхронизация с восстановлением не отличили бы её от оригинала
+function copyTitle(book, takenKeys) {
+  for (let n = 1; ; n++) {
+    const title = `${book.title} (копия${n > 1 ? ` ${n}` : ""})`;
+    if (!takenKeys.has(bookKey({ ...book, title }))) return title;
+  }
+}
+
+// Хранилища, которые копируются как есть (кроме книг и содержимого).
+// key — поле, по которому запись считается уже существующей при восстановлении.
+const EXTRA_STORES = [
+  { store: STORES.ANNOTATIONS, key: (r) => `${r.bookId}|${r.type}|${r.start}|${r.end}` },
+  { store: STORES.SESSIONS, key: (r) => `${r.bookId}|${r.startedAt}` },
+  { store: STORES.ASSESSMENTS, key: (r) => r.createdAt },
+  { store: STORES.TRAINING_PROGRAMS, key: (r) => r.name },
+  { store: STORES.TRAINING_SESSIONS, key: (r) => r.startedAt },
+  { store: STORES.EXERCISES, key: (r) => r.createdAt },
+];
+
+const lastChange = (b) => b.updatedAt || b.createdAt || "";
+
+const loadJSZip = async () => (await import("jszip")).default;
+
+/* ---------- Экспорт ---------- */
+
+export async function exportLibrary() {
+  const JSZip = await loadJSZip();
+  const zip = new JSZip();
+
+  // обложка и аннотация лежат отдельно (STORES.DETAILS), в копии — в записи книги, как раньше
+  const details = new Map((await db.getAll(STORES.DETAILS)).map(({ id, ...d }) => [id, d]));
+  const books = (await db.getAll(STORES.BOOKS)).map((b) => ({ ...b, ...details.get(b.id) }));
+  zip.file(
+    "manifest.json",
+    JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      dbVersion: DB_VERSION,
+      createdAt: new Date().toISOString(),
+      settings: loadSettings(),
+      presets: loadPresets(),
+      keymap: loadKeymap(),
+      gestures: loadGestures(),
+    })
+  );
+  zip.file("books.json", JSON.stringify(books));
+  for (const b of books) {
+    const content = await db.get(STORES.CONTENTS, b.id);
+    if (content) zip.file(`contents/${b.id}.json`, JSON.stringify(content));
+  }
+  for (const { store } of EXTRA_STORES) {
+    zip.file(`stores/${store}.json`, JSON.stringify(await db.getAll(store)));
+  }
+  return zip.generateAsync({ type: "blob", compression: "DEFLATE" });
+}
+
+export const backupFileName = (date = new Date()) =>
+  `speedreader-backup-${date.toISOString().slice(0, 10)}.zip`;
+
+/* ---------- Импорт ---------- */
+
+/**
+ * Читает файл копии. Вернёт { manifest, books, conflicts, readJson } —
+ * conflicts: сколько книг из копии уже есть в библиотеке.
+ */
+export async function readBackup(arrayBuffer) {
+  const JSZip = await loadJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(arrayBuffer);
+  } catch {
+    throw new Error("Это не файл резервной копии");
+  }
+  const readJson = async (name) => {
+    const f = zip.file(name);
+    return f ? JSON.parse(await f.async("string")) : null;
+  };
+
+  const manifest = await readJson("manifest.json");
+  if (manifest?.format !== BACKUP_FORMAT) throw new Error("Это не файл резервной копии");
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error("Копия сделана более новой версией приложения");
+  }
+  const books = (await readJson("books.json")) || [];
+  const existing = new Set((await db.getAll(STORES.BOOKS)).map(bookKey));
+  const conflicts = books.filter((b) => existing.has(bookKey(b))).length;
+  return { manifest, books, conflicts, readJson };
+}
+
+/**
+ * Восстанавливает копию, прочитанную readBackup.
+ * strategy — значение из CONFLICT_STRATEGIES; restoreSettings — заменить
+ * глобальные настройки, назначения клавиш и жесты значениями из копии
+ * (пресеты объединяются всегда).
+ * Вернёт счётчики { added, merged, replaced, duplicated, skipped }
+ * (skipped — книги, оставленные как были, и книги без содержимого в копии).
+ */
+export async function restoreBackup(backup, { strategy = "merge", restoreSettings = true } = {}) {
+  const { manifest, books, readJson } = backup;
+  const stats = { added: 0, merged: 0, replaced: 0, duplicated: 0, skipped: 0 };
+
+  const existingByKey = new Map((await db.getAll(STORES.BOOKS)).map((b) => [bookKey(b), b]));
+  const idMap = new Map(); // id книги в копии → id в этой библиотеке
+
+  for (const book of books) {
+    const { id: oldId, ...meta } = book;
+    const existing = existingByKey.get(bookKey(book));
+
+    if (existing && strategy !== "duplicate") {
+      idMap.set(oldId, existing.id);
+      if (strategy === "merge") {
+        await db.update(STORES.BOOKS, existing.id, {
+          progress: Math.max(existing.progress || 0, book.progress || 0),
+          settings: existing.settings || book.settings || null,
+        });
+        stats.merged++;
+      } else if (lastChange(book) > lastChange(existing)) {
+        const { meta: fields, details } = splitBook(meta);
+        await db.put(STORES.BOOKS, { ...fields, id: existing.id });
+        await db.put(STORES.DETAILS, { ...details, id: existing.id });
+        stats.replaced++;
+      } else {
+        stats.skipped++;
+      }
+      continue;
+    }
+
+    const content = await readJson(`contents/${oldId}.json`);
+    if (!content?.words?.length) {
+      stats.skipped++;
+      continue;
+    }
+    const { id: _contentId, ...contentFields } = content;
+    if (existing) meta.title = copyTitle(meta, existingByKey);
+    const newId = await addBook({ ...meta, ...contentFields });
+    existingByKey.set(bookKey(meta), { ...meta, id: newId });
+    idMap.set(oldId, newId);
+    if (existing) stats.duplicated++;
+    else stats.added++;
+  }
+
+  // остальное — без повторов; записи о книгах, которых не восстановили, пропускаем
+  for (const { store, key } of EXTRA_STORES) {
+    const records = (await readJson(`stores/${store}.json`)) || [];
+    const seen = new Set((await db.getAll(store)).map(key));
+    for (const { id: _id, ...record } of records) {
+      if (record.bookId != null) {
+        if (!idMap.has(record.bookId)) continue;
+        record.bookId = idMap.get(record.bookId);
+      }
+      const k = key(record);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      await db.put(store, record);
+    }
+  }
+
+  if (restoreSettings && manifest.settings) saveSettings({ ...loadSettings(), ...manifest.settings });
+  if (restoreSettings && manifest.keymap) saveKeymap(normalizeKeymap(manifest.keymap));
+  if (restoreSettings && manifest.gestures) saveGestures(normalizeGestures(manifest.gestures));
+  if (Array.isArray(manifest.presets)) {
+    savePresets(manifest.presets.reduce((list, p) => upsertPreset(list, p.name, p.settings), loadPresets()));
+  }
+  return stats;
+}
@@ -0,0 +1,438 @@
+/* =============================
+   Импорт книг: FB2, EPUB, ZIP/RAR
+   Работает внутри воркера (см. importWorker.js), поэтому без window/DOM:
+   XML разбирает @xmldom/xmldom
+============================= */
+import JSZip from "jszip";
+import { DOMParser } from "@xmldom/xmldom";
+import { HTML_ENTITIES } from "@xmldom/xmldom/lib/entities.js";
+import { tokenizeBlocks } from "./tokens";
+
+import * as Unrar from "node-unrar-js";
+import unrarWasmUrl from "node-unrar-js/esm/js/unrar.wasm?url";
+
+// Совместимые хелперы (под разные версии)
+const createExtractorFromData =
+  Unrar.createExtractorFromData || Unrar.default?.createExtractorFromData;
+
+// wasm для RAR грузим сами и отдаём в createExtractorFromData (один раз на воркер)
+let unrarWasmPromise = null;
+const getUnrarWasm = () => {
+  if (!unrarWasmPromise) {
+    unrarWasmPromise = fetch(unrarWasmUrl).then((r) => {
+      if (!r.ok) throw new Error("RAR: не удалось загрузить unrar.wasm");
+      return r.arrayBuffer();
+    });
+  }
+  return unrarWasmPromise;
+};
+
+// предупреждения xmldom (неизвестные сущности и т. п.) не мешают разбору
+const xmlParser = new DOMParser({ onError: () => {} });
+
+// null, если документ не разобрался
+function parseXml(text, type = "application/xml") {
+  try {
+    return xmlParser.parseFromString(text, type);
+  } catch {
+    return null;
+  }
+}
+
+/* =============================
+   FB2: декодирование и парсинг
+============================= */
+function decodeFB2(arrayBuffer) {
+  const utf8 = new TextDecoder("utf-8", { fatal: false }).decode(arrayBuffer);
+  const win = new TextDecoder("windows-1251", { fatal: false }).decode(arrayBuffer);
+  const utf8Cyr = (utf8.match(/[а-яА-ЯёЁ]/g) || []).length;
+  const winCyr = (win.match(/[а-яА-ЯёЁ]/g) || []).length;
+  return winCyr > utf8Cyr * 2 ? win : utf8;
+}
+
+// число слов так же, как их потом режет импорт (split по пробелам)
+const countWords = (text) => {
+  const t = text.trim();
+  return t ? t.split(/\s+/).length : 0;
+};
+
+const FB2_BLOCKS = new Set(["p", "v", "subtitle", "text-author"]);
+const FB2_SKIP = new Set(["binary", "image", "empty-line"]);
+const FB2_EMPHASIS = new Set(["emphasis", "strong"]);
+
+const childByName = (el, name) => Array.from(el?.children || []).find((c) => c.localName === name);
+const childrenByName = (el, name) => Array.from(el?.children || []).filter((c) => c.localName === name);
+const cleanText = (el) => (el?.textContent || "").replace(/\s+/g, " ").trim();
+// l:href / xlink:href — префикс пространства имён в FB2 бывает любым
+const getHref = (el) =>
+  el.getAttributeNS("http://www.w3.org/1999/xlink", "href") ||
+  Array.from(el.attributes).find((a) => a.localName === "href")?.value ||
+  "";
+
+// <description><title-info>: автор(ы), название, жанры, язык, аннотация, обложка
+function parseFB2Meta(doc) {
+  const description = doc.getElementsByTagName("description")[0];
+  const info = childByName(description, "title-info");
+  if (!info) return { title: "", author: "", genres: [], language: "", annotation: "", cover: null };
+
+  const author = childrenByName(info, "author")
+    .map((a) => {
+      const full = ["first-name", "middle-name", "last-name"]
+        .map((n) => cleanText(childByName(a, n)))
+        .filter(Boolean)
+        .join(" ");
+      return full || cleanText(childByName(a, "nickname"));
+    })
+    .filter(Boolean)
+    .join(", ");
+
+  const annotationEl = childByName(info, "annotation");
+  const annotation = annotationEl
+    ? Array.from(annotationEl.children).map(cleanText).filter(Boolean).join("\n") || cleanText(annotationEl)
+    : "";
+
+  // обложка: <coverpage><image l:href="#id"/> → <binary id="id"> (base64)
+  let cover = null;
+  const image = childByName(childByName(info, "coverpage"), "image");
+  const href = image ? getHref(image) : "";
+  if (href.startsWith("#")) {
+    const binary = Array.from(doc.getElementsByTagName("binary")).find(
+      (b) => b.getAttribute("id") === href.slice(1)
+    );
+    if (binary) {
+      const type = binary.getAttribute("content-type") || "image/jpeg";
+      cover = `data:${type};base64,${binary.textContent.replace(/\s+/g, "")}`;
+    }
+  }
+
+  return {
+    title: cleanText(childByName(info, "book-title")),
+    author,
+    genres: childrenByName(info, "genre").map(cleanText).filter(Boolean),
+    language: cleanText(childByName(info, "lang")),
+    annotation,
+    cover,
+  };
+}
+
+const FB2_NOTE_BODIES = new Set(["notes", "comments"]);
+
+// <body name="notes">: <section id="n1"><title>1</title><p>…</p></section> → { n1: { title, text } }
+function parseFB2Footnotes(body, footnotes) {
+  for (const section of body.getElementsByTagName("section")) {
+    const id = section.getAttribute("id");
+    if (!id) continue;
+    const title = cleanText(childByName(section, "title"));
+    const text = Array.from(section.children)
+      .filter((c) => c.localName !== "title" && c.localName !== "section")
+      .map(cleanText)
+      .filter(Boolean)
+      .join("\n");
+    footnotes[id] = { title, text };
+  }
+}
+
+/**
+ * Блоки текста FB2 + оглавление + сноски + метаданные.
+ * blocks: [{ text, em }] — абзацы по порядку, em — выделенные диапазоны (см. tokens.js).
+ * toc: [{ title, level, wordIndex }] — wordIndex указывает на первое слово главы
+ * в итоговом массиве words.
+ * footnotes: { id: { title, text } } — тело сносок, в поток чтения не входит.
+ * noteRefs: [{ wordIndex, id }] — слово, к которому привязана ссылка <a type="note">.
+ * meta: см. parseFB2Meta.
+ */
+function parseFB2(xmlText) {
+  const doc = parseXml(xmlText);
+  if (!doc) throw new Error("Invalid FB2");
+  const bodies = doc.getElementsByTagName("body");
+  if (!bodies.length) {
+    return {
+      blocks: [{ text: (doc.documentElement && doc.documentElement.textContent) || "" }],
+      toc: [],
+      footnotes: {},
+      noteRefs: [],
+      meta: parseFB2Meta(doc),
+    };
+  }
+
+  const blocks = [];
+  const toc = [];
+  const footnotes = {};
+  const noteRefs = [];
+  let wordCount = 0;
+
+  // текст блока без ссылок на сноски; ссылка привязывается к предыдущему слову
+  const pushBlock = (el) => {
+    let out = "";
+    const em = [];
+    const refs = [];
+    const visit = (node, isEm) => {
+      for (const c of node.childNodes) {
+        if (c.nodeType === 3 || c.nodeType === 4) {
+          if (isEm) em.push([out.length, out.length + c.nodeValue.length]);
+          out += c.nodeValue; // текст / CDATA
+        } else if (c.nodeType === 1) {
+          if (c.localName === "a" && c.getAttribute("type") === "note") {
+            const href = getHref(c);
+            if (href.startsWith("#")) refs.push({ offset: countWords(out) - 1, id: href.slice(1) });
+          } else {
+            visit(c, isEm || FB2_EMPHASIS.has(c.localName));
+          }
+        }
+      }
+    };
+    visit(el, FB2_EMPHASIS.has(el.localName));
+    if (!out.trim()) return;
+    blocks.push({ text: out, em });
+    for (const r of refs) noteRefs.push({ wordIndex: wordCount + Math.max(0, r.offset), id: r.id });
+    wordCount += countWords(out);
+  };
+
+  // обход в порядке документа: <section> с <title> → пункт оглавления
+  const walk = (el, level) => {
+    for (const child of el.children) {
+      const name = child.localName;
+      if (FB2_SKIP.has(name)) continue;
+      if (FB2_BLOCKS.has(name)) {
+        pushBlock(child);
+      } else if (name === "section") {
+        const titleEl = Array.from(child.children).find((c) => c.localName === "title");
+        const title = titleEl?.textContent.replace(/\s+/g, " ").trim();
+        if (title) toc.push({ title, level, wordIndex: wordCount });
+        walk(child, title ? level + 1 : level);
+      } else if (child.children.length) {
+        walk(child, level); // title, epigraph, poem, stanza, cite…
+      } else {
+        pushBlock(child);
+      }
+    }
+  };
+
+  for (let b of bodies) {
+    // сноски — отдельное хранилище, не поток чтения
+    if (FB2_NOTE_BODIES.has(b.getAttribute("name"))) parseFB2Footnotes(b, footnotes);
+    else walk(b, 0);
+  }
+  return {
+    blocks,
+    toc,
+    footnotes,
+    // ссылки на несуществующие сноски не показываем
+    noteRefs: noteRefs.filter((r) => footnotes[r.id]),
+    meta: parseFB2Meta(doc),
+  };
+}
+
+/* =============================
+   EPUB: OPF (метаданные, манифест, spine) и XHTML
+============================= */
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+const EPUB_BLOCKS = new Set(["p", "h1", "h2", "h3", "h4", "h5", "h6", "li", "blockquote", "pre", "dt", "dd"]);
+const isEpubBlock = (n) => EPUB_BLOCKS.has(n.localName.toLowerCase());
+const EPUB_EMPHASIS = new Set(["em", "i", "strong", "b"]);
+
+// путь внутри архива относительно файла-базы (OPF лежит не обязательно в корне)
+function resolveZipPath(baseFile, href) {
+  const clean = decodeURIComponent(href.split("#")[0]);
+  const parts = baseFile.split("/").slice(0, -1);
+  for (const seg of clean.split("/")) {
+    if (seg === "..") parts.pop();
+    else if (seg && seg !== ".") parts.push(seg);
+  }
+  return parts.join("/");
+}
+
+function getDcText(opf, name) {
+  const el =
+    opf.getElementsByTagNameNS(DC_NS, name)[0] || opf.getElementsByTagName(`dc:${name}`)[0];
+  return el?.textContent.trim() || "";
+}
+
+// запасной путь для невалидного XHTML: блоки → разделители, теги вырезаем;
+// сущности — по полной таблице HTML из xmldom (&mdash;, &laquo; и т. д.)
+function stripHtml(markup) {
+  const body = markup.replace(/^[\s\S]*?<body[^>]*>/i, "").replace(/<\/body>[\s\S]*$/i, "");
+  return body
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<\/?(p|h[1-6]|li|blockquote|pre|dt|dd|div|br)\b[^>]*>/gi, "\u0000")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (m, e) => {
+      if (e[0] === "#") {
+        const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+      }
+      return HTML_ENTITIES[e] ?? HTML_ENTITIES[e.toLowerCase()] ?? m;
+    })
+    .split("\u0000")
+    .map((t) => t.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map((text) => ({ text }));
+}
+
+// текст блока XHTML с диапазонами <em>/<i>/<strong>/<b>
+function xhtmlBlock(el) {
+  let text = "";
+  const em = [];
+  const visit = (node, isEm) => {
+    for (const c of node.childNodes) {
+      if (c.nodeType === 3 || c.nodeType === 4) {
+        if (isEm) em.push([text.length, text.length + c.nodeValue.length]);
+        text += c.nodeValue;
+      } else if (c.nodeType === 1) {
+        visit(c, isEm || EPUB_EMPHASIS.has(c.localName.toLowerCase()));
+      }
+    }
+  };
+  visit(el, false);
+  return { text, em };
+}
+
+// блоки одного XHTML-документа по порядку, как в parseFB2
+function extractXhtmlBlocks(markup) {
+  // часть EPUB содержит невалидный XHTML — тогда вырезаем теги вручную
+  const doc = parseXml(markup, "application/xhtml+xml");
+  if (!doc) return stripHtml(markup);
+  const body = doc.getElementsByTagName("body")[0] || doc.documentElement;
+  if (!body) return [];
+  // берём только «листовые» блоки, чтобы <li><p>…</p></li> не дублировался
+  const blocks = Array.from(body.getElementsByTagName("*")).filter(
+    (n) => isEpubBlock(n) && !Array.from(n.getElementsByTagName("*")).some(isEpubBlock)
+  );
+  if (!blocks.length) return [{ text: body.textContent }];
+  return blocks.map(xhtmlBlock).filter((b) => b.text.trim());
+}
+
+export async function parseEPUB(arrayBuffer) {
+  const zip = await JSZip.loadAsync(arrayBuffer);
+
+  // 1. META-INF/container.xml → путь к OPF
+  const containerXml = await zip.file("META-INF/container.xml")?.async("string");
+  const container = containerXml && parseXml(containerXml);
+  const opfPath = container?.getElementsByTagName("rootfile")[0]?.getAttribute("full-path");
+  if (!opfPath || !zip.file(opfPath)) throw new Error("EPUB: не найден OPF-файл");
+
+  const opf = parseXml(await zip.file(opfPath).async("string"));
+  if (!opf) throw new Error("EPUB: повреждённый OPF-файл");
+
+  // 2. Манифест: id → путь
+  const manifest = new Map();
+  for (const item of opf.getElementsByTagName("item")) {
+    manifest.set(item.getAttribute("id"), {
+      path: resolveZipPath(opfPath, item.getAttribute("href") || ""),
+      type: item.getAttribute("media-type") || "",
+    });
+  }
+
+  // 3. Spine — порядок чтения
+  const blocks = [];
+  for (const ref of opf.getElementsByTagName("itemref")) {
+    if (ref.getAttribute("linear") === "no") continue;
+    const item = manifest.get(ref.getAttribute("idref"));
+    if (!item || !/html/i.test(item.type || item.path)) continue;
+    const markup = await zip.file(item.path)?.async("string");
+    if (!markup) continue;
+    blocks.push(...extractXhtmlBlocks(markup));
+  }
+  if (!blocks.some((b) => b.text.trim())) throw new Error("EPUB не содержит текста");
+
+  return {
+    title: getDcText(opf, "title"),
+    author: getDcText(opf, "creator"),
+    blocks,
+  };
+}
+
+/* =============================
+   Импорт: архивы и запись книги
+============================= */
+export const BOOK_FILE_RE = /\.(fb2|epub)$/i;
+export const ARCHIVE_FILE_RE = /\.(zip|rar)$/i;
+
+/**
+ * Открывает ZIP/RAR и перечисляет все книги внутри.
+ * entries — пути к .fb2/.epub в архиве, extract(name) → ArrayBuffer.
+ */
+export async function openArchive(fileName, arrayBuffer) {
+  if (/\.zip$/i.test(fileName)) {
+    const zip = await JSZip.loadAsync(arrayBuffer);
+    const entries = Object.values(zip.files)
+      .filter((f) => !f.dir && BOOK_FILE_RE.test(f.name))
+      .map((f) => f.name);
+    return { entries, extract: (name) => zip.files[name].async("arraybuffer") };
+  }
+
+  // RAR: всегда подаём Uint8Array на вход
+  if (typeof createExtractorFromData !== "function") {
+    throw new Error("RAR: createExtractorFromData недоступен (импорт не загрузился)");
+  }
+  const extractor = await createExtractorFromData({
+    wasmBinary: await getUnrarWasm(),
+    data: new Uint8Array(arrayBuffer),
+  });
+
+  // fileHeaders и files — генераторы, собираем в массив
+  const { fileHeaders } = extractor.getFileList();
+  const entries = Array.from(fileHeaders)
+    .filter((h) => !h.flags.directory && BOOK_FILE_RE.test(h.name))
+    .map((h) => h.name);
+
+  const extract = async (name) => {
+    const { files } = extractor.extract({ files: [name] });
+    // содержимое — в fileEntry.extraction (НЕ extracted)
+    const u8 = Array.from(files)[0]?.extraction; // Uint8Array
+    if (!(u8 && u8.byteLength)) throw new Error(`Не удалось извлечь ${name} из RAR`);
+    // обратно в ArrayBuffer без «хвостов»
+    return u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
+  };
+  return { entries, extract };
+}
+
+/**
+ * FB2/EPUB → запись книги для IndexedDB (без id).
+ * onStage(stage) сообщает о переходе к этапу decode / parse / tokenize.
+ */
+export async function buildBook(fileName, arrayBuffer, onStage = () => {}) {
+  let meta = { title: "", author: "" };
+  let blocks;
+  let toc = [];
+  let footnotes = {};
+  let noteRefs = [];
+
+  if (/\.epub$/i.test(fileName)) {
+    onStage("parse"); // распаковка XHTML и разбор идут вместе
+    const epub = await parseEPUB(arrayBuffer);
+    meta = { title: epub.title, author: epub.author };
+    blocks = epub.blocks;
+  } else {
+    onStage("decode");
+    const xmlText = decodeFB2(arrayBuffer);
+    onStage("parse");
+    const fb2 = parseFB2(xmlText);
+    blocks = fb2.blocks;
+    toc = fb2.toc;
+    footnotes = fb2.footnotes;
+    noteRefs = fb2.noteRefs;
+    meta = fb2.meta;
+  }
+
+  onStage("tokenize");
+  const { words, marks } = tokenizeBlocks(blocks);
+  if (!words.length) throw new Error("Книга не содержит текста");
+
+  const baseName = fileName.split(/[\\/]/).pop();
+  return {
+    title: meta.title || baseName.replace(/\.(fb2|epub|zip|rar)$/i, ""),
+    author: meta.author,
+    genres: meta.genres || [],
+    language: meta.language || "",
+    annotation: meta.annotation || "",
+    cover: meta.cover || null,
+    words,
+    marks,
+    toc,
+    footnotes,
+    noteRefs,
+    progress: 0,
+    createdAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import JSZip from "jszip";
+import { buildBook } from "./bookImport";
+
+// минимальный EPUB из одного XHTML-документа
+async function makeEpub(xhtml) {
+  const zip = new JSZip();
+  zip.file(
+    "META-INF/container.xml",
+    `<?xml version="1.0"?><container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>`
+  );
+  zip.file(
+    "OEBPS/content.opf",
+    `<?xml version="1.0"?><package xmlns:dc="http://purl.org/dc/elements/1.1/"><metadata><dc:title>Тест</dc:title></metadata>` +
+      `<manifest><item id="ch1" href="ch1.xhtml" media-type="application/xhtml+xml"/></manifest><spine><itemref idref="ch1"/></spine></package>`
+  );
+  zip.file("OEBPS/ch1.xhtml", xhtml);
+  return zip.generateAsync({ type: "arraybuffer" });
+}
+
+describe("buildBook: EPUB", () => {
+  it("раскрывает именованные сущности HTML в валидном XHTML", async () => {
+    const epub = await makeEpub(
+      `<?xml version="1.0" encoding="utf-8"?><html xmlns="http://www.w3.org/1999/xhtml"><body>` +
+        `<p>Да &mdash; нет&hellip; &laquo;Тест&raquo;</p></body></html>`
+    );
+    const book = await buildBook("test.epub", epub);
+    expect(book.words).toEqual(["Да", "—", "нет…", '"Тест"']);
+  });
+
+  it("раскрывает сущности и в невалидном XHTML (запасной разбор)", async () => {
+    const epub = await makeEpub(`<html><body><p>Да &mdash; нет<br> &laquo;Тест&raquo;&nbsp;&amp; ещё</p></body></html>`);
+    const book = await buildBook("test.epub", epub);
+    expect(book.words).toEqual(["Да", "—", "нет", '"Тест"', "&", "ещё"]);
+  });
+});
@@ -0,0 +1,126 @@
+/* =============================
+   Разбиение текста на фрагменты для показа
+   Один модуль для показа, автопролистывания и ручных шагов ←/→.
+   chars   — сколько слов влезает в charLimit символов (как раньше);
+   phrases — то же, но фрагмент не кончается предлогом/союзом, по
+             возможности рвётся на знаке препинания и не переходит
+             через конец предложения или абзаца.
+   isParagraphEnd(i) — конец абзаца после слова i (из marks, см. tokens.js);
+   без него абзацы видны только по пунктуации.
+============================= */
+import { isSentenceEnd } from "./tokens";
+
+export const CHUNK_MODES = [
+  { value: "chars", label: "По символам", title: "Сколько слов влезает в лимит символов" },
+  { value: "phrases", label: "По фразам", title: "Не отрывать предлоги и союзы, резать по знакам препинания и концам предложений" },
+];
+
+// Короткие служебные слова, которые читаются вместе со следующим словом
+const FUNCTION_WORDS = new Set([
+  // предлоги
+  "в", "во", "на", "к", "ко", "с", "со", "у", "о", "об", "обо", "от", "ото", "до", "по", "за",
+  "из", "изо", "без", "для", "про", "при", "над", "под", "пред", "перед", "через", "между",
+  // союзы и частицы перед словом
+  "и", "а", "но", "да", "или", "либо", "что", "чтобы", "как", "не", "ни", "если", "когда",
+  // английские
+  "a", "an", "the", "of", "to", "in", "on", "at", "by", "for", "with", "from", "into",
+  "and", "or", "but", "not",
+]);
+
+// внутри предложения лучше всего рвать после запятой, точки с запятой, двоеточия, тире
+const PHRASE_BREAK_RE = /[,;:—–]["»”)]*$|^[—–]$/;
+
+// служебное слово без знака препинания после него («в», «(на», но не «и,»)
+const isFunctionWord = (word) => {
+  const m = /^[^\p{L}]*(\p{L}+)$/u.exec(word);
+  return !!m && FUNCTION_WORDS.has(m[1].toLowerCase());
+};
+
+// сколько слов с start влезает в charLimit (минимум одно); isStop(i) — после слова i не продолжать
+function packEnd(words, start, charLimit, isStop) {
+  let end = start;
+  let total = 0;
+  while (end < words.length) {
+    const len = words[end].length + 1; // слово + пробел
+    if (total + len > charLimit) break;
+    total += len;
+    end++;
+    if (isStop?.(end - 1)) break;
+  }
+  return end === start ? Math.min(words.length, start + 1) : end;
+}
+
+const noParagraphs = () => false;
+
+function phraseEnd(words, start, charLimit, isParagraphEnd = noParagraphs) {
+  const isStop = (i) => isSentenceEnd(words[i]) || isParagraphEnd(i);
+  let end = packEnd(words, start, charLimit, isStop);
+
+  if (end < words.length && !isStop(end - 1)) {
+    // знак препинания во второй половине фрагмента — рвём на последнем таком
+    let total = 0;
+    let best = -1;
+    for (let i = start; i < end - 1; i++) {
+      total += words[i].length + 1;
+      if (total >= charLimit / 2 && PHRASE_BREAK_RE.test(words[i])) best = i + 1;
+    }
+    if (best > start) end = best;
+    // висящие предлоги и союзы уходят в следующий фрагмент
+    while (end - 1 > start && isFunctionWord(words[end - 1])) end--;
+  }
+
+  // фрагмент из одного служебного слова — добавляем следующее, даже сверх лимита
+  while (end < words.length && isFunctionWord(words[end - 1]) && !isParagraphEnd(end - 1)) end++;
+  return end;
+}
+
+/**
+ * Начало следующего фрагмента (индекс первого слова после фрагмента с start).
+ * Всегда больше start, пока start < words.length.
+ */
+export function nextChunkStart(words, start, charLimit, mode = "chars", isParagraphEnd) {
+  if (start >= words.length) return start;
+  return mode === "phrases" ? phraseEnd(words, start, charLimit, isParagraphEnd) : packEnd(words, start, charLimit);
+}
+
+// дальше назад начало предложения не ищем (текст без точек — шаг по символам)
+const SENTENCE_LOOKBACK = 300;
+
+/**
+ * Начало предыдущего фрагмента.
+ * Фразы не переходят через конец предложения, поэтому их границы однозначны
+ * от начала предложения: проходим его вперёд теми же фрагментами, что и при чтении.
+ */
+export function prevChunkStart(words, start, charLimit, mode = "chars", isParagraphEnd = noParagraphs) {
+  if (start <= 0) return 0;
+
+  if (mode === "phrases") {
+    const isStop = (i) => isSentenceEnd(words[i]) || isParagraphEnd(i);
+    const min = Math.max(0, start - SENTENCE_LOOKBACK);
+    let sentence = start - 1;
+    while (sentence > min && !isStop(sentence - 1)) sentence--;
+    if (sentence === 0 || isStop(sentence - 1)) {
+      const end = (s) => phraseEnd(words, s, charLimit, isParagraphEnd);
+      let s = sentence;
+      for (let next = end(s); next < start; next = end(s)) s = next;
+      return s;
+    }
+  }
+
+  // назад по символам
+  let prev = start;
+  let total = 0;
+  while (prev > 0) {
+    const len = words[prev - 1].length + 1;
+    if (total + len > charLimit) break;
+    total += len;
+    prev--;
+  }
+  return prev === start ? start - 1 : prev;
+}
+
+// текст фрагмента и его конец
+export function chunkAt(words, start, charLimit, mode = "chars", isParagraphEnd) {
+  const end = nextChunkStart(words, start, charLimit, mode, isParagraphEnd);
+  return { text: words.slice(start, end).join(" "), end };
+}
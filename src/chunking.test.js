@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { nextChunkStart, prevChunkStart, chunkAt } from "./chunking";
+
+const split = (text) => text.split(" ");
+
+// все фрагменты текста в режиме «По фразам»
+function phrases(words, charLimit, isParagraphEnd) {
+  const out = [];
+  for (let s = 0; s < words.length; ) {
+    const { text, end } = chunkAt(words, s, charLimit, "phrases", isParagraphEnd);
+    out.push(text);
+    s = end;
+  }
+  return out;
+}
+
+describe("фрагменты «По фразам»", () => {
+  it("висящий предлог или союз уходит в следующий фрагмент", () => {
+    expect(phrases(split("мы шли домой в темноте"), 16)).toEqual(["мы шли домой", "в темноте"]);
+    expect(phrases(split("кот спал и видел сны"), 12)).toEqual(["кот спал", "и видел сны"]);
+    expect(phrases(split("мы вышли на улицу рано"), 12)).toEqual(["мы вышли", "на улицу", "рано"]);
+  });
+
+  it("фрагмент не переходит через конец предложения", () => {
+    expect(phrases(split("Было тихо. Потом пошёл дождь."), 40)).toEqual(["Было тихо.", "Потом пошёл дождь."]);
+  });
+
+  it("фрагмент не переходит через конец абзаца", () => {
+    const words = split("первый абзац второй абзац");
+    expect(phrases(words, 40, (i) => i === 1)).toEqual(["первый абзац", "второй абзац"]);
+  });
+
+  it("слово длиннее лимита — отдельный фрагмент", () => {
+    const words = split("очень достопримечательность рядом");
+    expect(phrases(words, 10)).toEqual(["очень", "достопримечательность", "рядом"]);
+    expect(nextChunkStart(words, 1, 10, "chars")).toBe(2);
+  });
+
+  it("шаг назад попадает на начало предыдущего фрагмента", () => {
+    const words = split(
+      "Утром мы вышли из дома и пошли на станцию, где нас ждал поезд. В вагоне было душно, но никто не открыл окно. Ехали долго."
+    );
+    const isParagraphEnd = (i) => i === 4;
+    const starts = [0];
+    while (starts.at(-1) < words.length) {
+      starts.push(nextChunkStart(words, starts.at(-1), 20, "phrases", isParagraphEnd));
+    }
+    starts.pop();
+    expect(starts.length).toBeGreaterThan(5);
+    for (let k = 1; k < starts.length; k++) {
+      expect(prevChunkStart(words, starts[k], 20, "phrases", isParagraphEnd)).toBe(starts[k - 1]);
+    }
+  });
+});
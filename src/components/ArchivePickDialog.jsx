@@ -0,0 +1,60 @@
+/* =============================
+   Выбор книг из архива: одна, несколько или все
+============================= */
+import { useState } from "react";
+
+export default function ArchivePickDialog({ fileName, entries, onImport, onCancel, isDark }) {
+  const [selected, setSelected] = useState(() => new Set(entries));
+  const allSelected = selected.size === entries.length;
+
+  const toggle = (name) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+
+  return (
+    <section
+      className={`p-4 mb-4 rounded-lg text-left ${
+        isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+      }`}
+      role="dialog"
+      aria-label="Выбор книг из архива"
+    >
+      <h2 className="font-semibold text-lg mb-1">Книги в архиве</h2>
+      <div className="text-sm opacity-75 mb-3 truncate">{fileName}</div>
+
+      <ul className="space-y-1 mb-3 overflow-y-auto" style={{ maxHeight: "40vh" }}>
+        {entries.map((name) => (
+          <li key={name}>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input type="checkbox" checked={selected.has(name)} onChange={() => toggle(name)} />
+              <span className="truncate">{name}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <div className="controls-row">
+        <button
+          className="btn"
+          onClick={() => setSelected(allSelected ? new Set() : new Set(entries))}
+        >
+          {allSelected ? "Снять все" : "Выбрать все"}
+        </button>
+        <button
+          className="px-3 py-2 rounded bg-green-600 hover:bg-green-500 text-white"
+          disabled={selected.size === 0}
+          onClick={() => onImport(entries.filter((n) => selected.has(n)))}
+        >
+          Импортировать ({selected.size})
+        </button>
+        <button className="btn" onClick={onCancel}>
+          Отмена
+        </button>
+      </div>
+    </section>
+  );
+}
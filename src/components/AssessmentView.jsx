@@ -0,0 +1,225 @@
+/* =============================
+   Оценка скорости: отрывок своим темпом → вопросы → рекомендации
+============================= */
+import { useEffect, useMemo, useState } from "react";
+import { db, STORES } from "../db";
+import { buildQuiz, scoreQuiz, isQuizAnswered } from "../comprehension";
+import { pickPassage, assessmentResult } from "../assessment";
+import { comprehensionPercent } from "../stats";
+import QuizQuestions from "./QuizQuestions";
+import { btnClass, formatClock } from "./ui";
+
+export default function AssessmentView({ book, words, from, onApply, onDone, isDark }) {
+  const passage = useMemo(() => pickPassage(words, from), [words, from]);
+  const [step, setStep] = useState("intro"); // intro | reading | quiz | result
+  const [startedAt, setStartedAt] = useState(0);
+  const [durationMs, setDurationMs] = useState(0);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    db.getAll(STORES.ASSESSMENTS)
+      .then((all) => setHistory(all.sort((a, b) => b.createdAt.localeCompare(a.createdAt))))
+      .catch((e) => console.error("Не удалось загрузить прошлые оценки:", e));
+  }, []);
+
+  // таймер на экране, пока читают
+  useEffect(() => {
+    if (step !== "reading") return;
+    const id = setInterval(() => setDurationMs(Date.now() - startedAt), 1000);
+    return () => clearInterval(id);
+  }, [step, startedAt]);
+
+  const startReading = () => {
+    setStartedAt(Date.now());
+    setDurationMs(0);
+    setStep("reading");
+  };
+
+  // сохраняем оценку; comprehension — проценты или null
+  const finish = async (ms, correct, total) => {
+    const record = {
+      bookId: book.id,
+      bookTitle: book.title,
+      words: passage.end - passage.start,
+      durationMs: ms,
+      quizCorrect: correct,
+      quizTotal: total,
+      ...assessmentResult(passage.end - passage.start, ms, comprehensionPercent(correct, total)),
+      createdAt: new Date().toISOString(),
+    };
+    setResult(record);
+    setStep("result");
+    try {
+      const id = await db.put(STORES.ASSESSMENTS, record);
+      setHistory((h) => [{ ...record, id }, ...h]);
+    } catch (e) {
+      alert("Не удалось сохранить результат оценки: " + e.message);
+    }
+  };
+
+  const stopReading = () => {
+    const ms = Date.now() - startedAt;
+    setDurationMs(ms);
+    const qs = buildQuiz(words, passage.start, passage.end);
+    if (!qs.length) {
+      finish(ms, 0, 0); // в отрывке нет целых предложений — только скорость
+      return;
+    }
+    setQuestions(qs);
+    setAnswers([]);
+    setStep("quiz");
+  };
+
+  const panelClass = `w-full max-w-4xl p-4 mb-4 rounded-lg text-left ${
+    isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+  }`;
+  const previous = history.find((h) => h.createdAt !== result?.createdAt);
+  const cellStyle = { padding: "4px 8px", textAlign: "left" };
+
+  return (
+    <div
+      className="min-h-screen flex flex-col items-center p-4 transition-colors duration-300"
+      style={{ backgroundColor: "var(--bg-color)", color: "var(--text-color)" }}
+    >
+      <header className="w-full max-w-4xl flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">⏱ Оценка скорости чтения</h1>
+        <button onClick={() => onDone(null)} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+          ← К книге
+        </button>
+      </header>
+
+      {step === "intro" && (
+        <section className={panelClass}>
+          <p className="mb-2">
+            Прочитайте отрывок из «{book.title}» ({passage.end - passage.start} слов) в обычном
+            темпе, как читаете всегда. Нажмите «Готово», когда дочитаете, — затем будет несколько
+            вопросов по тексту.
+          </p>
+          <p className="mb-3 opacity-75 text-sm">
+            По скорости и пониманию мы предложим стартовые WPM и ширину фрагмента.
+          </p>
+          <button className={btnClass(true)} onClick={startReading}>
+            Начать
+          </button>
+        </section>
+      )}
+
+      {step === "reading" && (
+        <section className={panelClass}>
+          <div className="controls-row mb-3" style={{ justifyContent: "space-between" }}>
+            <strong>{formatClock(durationMs)}</strong>
+            <button className={btnClass(true)} onClick={stopReading}>
+              Готово
+            </button>
+          </div>
+          <p style={{ fontSize: 20, lineHeight: 1.6 }}>
+            {words.slice(passage.start, passage.end).join(" ")}
+          </p>
+        </section>
+      )}
+
+      {step === "quiz" && (
+        <section className={panelClass} role="dialog" aria-label="Проверка понимания">
+          <h2 className="font-semibold text-lg mb-2">Проверка понимания</h2>
+          <QuizQuestions
+            questions={questions}
+            answers={answers}
+            checked={false}
+            onAnswer={(qi, oi) =>
+              setAnswers((a) => {
+                const next = [...a];
+                next[qi] = oi;
+                return next;
+              })
+            }
+          />
+          <button
+            className="btn"
+            onClick={() => finish(durationMs, scoreQuiz(questions, answers), questions.length)}
+            disabled={!isQuizAnswered(questions, answers)}
+          >
+            Узнать результат
+          </button>
+        </section>
+      )}
+
+      {step === "result" && result && (
+        <section className={panelClass}>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "24px" }} className="mb-3">
+            <div>
+              <div className="text-sm opacity-75">Скорость</div>
+              <div className="text-xl font-bold">{result.wpm} WPM</div>
+            </div>
+            <div>
+              <div className="text-sm opacity-75">Понимание</div>
+              <div className="text-xl font-bold">
+                {result.comprehension == null ? "—" : `${result.comprehension}%`}
+              </div>
+            </div>
+            <div>
+              <div className="text-sm opacity-75">С учётом понимания</div>
+              <div className="text-xl font-bold">{result.effectiveWpm} WPM</div>
+            </div>
+          </div>
+          {previous && (
+            <p className="mb-2 text-sm">
+              В прошлый раз ({new Date(previous.createdAt).toLocaleDateString("ru-RU")}):{" "}
+              {previous.wpm} WPM, с учётом понимания {previous.effectiveWpm} WPM (
+              {result.effectiveWpm - previous.effectiveWpm >= 0 ? "+" : ""}
+              {result.effectiveWpm - previous.effectiveWpm}).
+            </p>
+          )}
+          <p className="mb-3">
+            Рекомендуем начать с <strong>{result.recommendedWpm} WPM</strong> и ширины фрагмента{" "}
+            <strong>{result.recommendedCharLimit} символов</strong>.
+          </p>
+          <div className="controls-row" style={{ justifyContent: "flex-start" }}>
+            <button
+              className={btnClass(true)}
+              onClick={() => {
+                onApply({ wpm: result.recommendedWpm, charLimit: result.recommendedCharLimit });
+                onDone(passage.end);
+              }}
+            >
+              Применить и читать дальше
+            </button>
+            <button className="btn" onClick={() => onDone(passage.end)}>
+              Читать дальше без изменений
+            </button>
+          </div>
+        </section>
+      )}
+
+      {history.length > 0 && (
+        <section className={panelClass}>
+          <h2 className="font-semibold text-lg mb-3">Прошлые оценки</h2>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr className="opacity-75 text-sm">
+                <th style={cellStyle}>Дата</th>
+                <th style={cellStyle}>Книга</th>
+                <th style={cellStyle}>WPM</th>
+                <th style={cellStyle}>Понимание</th>
+                <th style={cellStyle}>С учётом понимания</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((h) => (
+                <tr key={h.id}>
+                  <td style={cellStyle}>{new Date(h.createdAt).toLocaleDateString("ru-RU")}</td>
+                  <td style={cellStyle}>{h.bookTitle}</td>
+                  <td style={cellStyle}>{h.wpm}</td>
+                  <td style={cellStyle}>{h.comprehension == null ? "—" : `${h.comprehension}%`}</td>
+                  <td style={cellStyle}>{h.effectiveWpm}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+/* =============================
+   Резервная копия: выгрузка всей библиотеки и восстановление из файла
+============================= */
+import { useRef, useState } from "react";
+import { CONFLICT_STRATEGIES, exportLibrary, backupFileName, readBackup } from "../backup";
+import { btnClass } from "./ui";
+
+export default function BackupPanel({ onRestore, isDark }) {
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [backup, setBackup] = useState(null); // прочитанная копия, ждёт подтверждения
+  const [fileName, setFileName] = useState("");
+  const [strategy, setStrategy] = useState("merge");
+  const [restoreSettings, setRestoreSettings] = useState(true);
+  const [result, setResult] = useState(null);
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const blob = await exportLibrary();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = backupFileName();
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (e) {
+      alert("Не удалось сделать резервную копию: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (file) => {
+    setBusy(true);
+    setResult(null);
+    try {
+      setBackup(await readBackup(await file.arrayBuffer()));
+      setFileName(file.name);
+    } catch (e) {
+      alert("Не удалось прочитать копию: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setBusy(true);
+    try {
+      setResult(await onRestore(backup, { strategy, restoreSettings }));
+      setBackup(null);
+    } catch (e) {
+      alert("Не удалось восстановить копию: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section
+      className={`p-4 mb-4 rounded-lg text-left ${
+        isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+      }`}
+    >
+      <h2 className="font-semibold text-lg mb-2">Резервная копия</h2>
+      <p className="text-sm opacity-75 mb-3">
+        Один файл со всеми книгами, позициями чтения, закладками, статистикой и настройками.
+      </p>
+      <div className="controls-row" style={{ justifyContent: "flex-start" }}>
+        <button className="btn" onClick={handleExport} disabled={busy}>
+          Скачать копию
+        </button>
+        <button className="btn" onClick={() => fileRef.current?.click()} disabled={busy}>
+          Восстановить из файла…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".zip"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.[0]) {
+              handleFile(e.target.files[0]);
+              e.target.value = "";
+            }
+          }}
+        />
+        {busy && <span className="opacity-75">Подождите…</span>}
+      </div>
+
+      {backup && (
+        <div className="mt-3">
+          <div className="mb-2">
+            {fileName}: книг — {backup.books.length}, от{" "}
+            {new Date(backup.manifest.createdAt).toLocaleString("ru-RU", { dateStyle: "short", timeStyle: "short" })}
+            {backup.conflicts > 0 && `; уже есть в библиотеке — ${backup.conflicts}`}
+          </div>
+          {backup.conflicts > 0 && (
+            <div className="controls-row mb-2" style={{ justifyContent: "flex-start", flexWrap: "wrap" }}>
+              <span>Совпадающие книги:</span>
+              {CONFLICT_STRATEGIES.map(({ value, label, title }) => (
+                <button
+                  key={value}
+                  className={btnClass(strategy === value)}
+                  aria-pressed={strategy === value}
+                  onClick={() => setStrategy(value)}
+                  title={title}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          <label className="flex items-center gap-2 mb-2">
+            <input
+              type="checkbox"
+              checked={restoreSettings}
+              onChange={(e) => setRestoreSettings(e.target.checked)}
+            />
+            <span>Заменить текущие настройки, клавиши и жесты настройками из копии</span>
+          </label>
+          <div className="controls-row" style={{ justifyContent: "flex-start" }}>
+            <button className={btnClass(true)} onClick={handleRestore} disabled={busy}>
+              Восстановить
+            </button>
+            <button className="btn" onClick={() => setBackup(null)} disabled={busy}>
+              Отмена
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-3">
+          Готово: добавлено {result.added}, объединено {result.merged}, заменено {result.replaced},
+          копий {result.duplicated}, без изменений {result.skipped}.
+        </div>
+      )}
+    </section>
+  );
+}
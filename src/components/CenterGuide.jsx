@@ -0,0 +1,22 @@
+/* =============================
+   Оптический ориентир: вертикальная линия по центру родителя (position: relative);
+   cross — ещё и горизонтальная, для фиксации взгляда в центре
+============================= */
+export default function CenterGuide({ isDark, cross = false }) {
+  const color = isDark ? "rgba(59,130,246,0.6)" : "rgba(37,99,235,0.7)";
+  const line = { position: "absolute", background: color, pointerEvents: "none" };
+  return (
+    <>
+      <div
+        aria-hidden="true"
+        style={{ ...line, top: 0, bottom: 0, left: "50%", width: "1px", transform: "translateX(-0.5px)" }}
+      />
+      {cross && (
+        <div
+          aria-hidden="true"
+          style={{ ...line, left: 0, right: 0, top: "50%", height: "1px", transform: "translateY(-0.5px)" }}
+        />
+      )}
+    </>
+  );
+}
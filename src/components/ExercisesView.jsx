@@ -0,0 +1,459 @@
+/* =============================
+   Упражнения: таблицы Шульте и слова-вспышки
+============================= */
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { db, STORES } from "../db";
+import { normalizeWord } from "../search";
+import {
+  SCHULTE_SIZES,
+  SCHULTE_SYMBOLS,
+  DEFAULT_SCHULTE,
+  maxSchulteSize,
+  schulteSequence,
+  createSchulteTable,
+  DEFAULT_FLASH,
+  FLASH_FIELDS,
+  FLASH_FIXATION_MS,
+  pickFlashWord,
+  flashOffset,
+  schulteBests,
+} from "../exercises";
+import CenterGuide from "./CenterGuide";
+import { btnClass, formatClock } from "./ui";
+
+const EXERCISE_HISTORY_SHOWN = 10;
+
+function SchulteExercise({ isDark, history, onResult }) {
+  const [settings, setSettings] = useState(DEFAULT_SCHULTE);
+  const [cells, setCells] = useState(null);
+  const [next, setNext] = useState(0); // номер следующего символа в последовательности
+  const [errors, setErrors] = useState(0);
+  const [startedAt, setStartedAt] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [finished, setFinished] = useState(false);
+  const [showGuide, setShowGuide] = useState(true);
+
+  const sequence = useMemo(
+    () => schulteSequence(settings.size, settings.symbols),
+    [settings]
+  );
+  const running = cells && !finished;
+  const bests = useMemo(() => schulteBests(history), [history]);
+  const best = bests[`${settings.size}-${settings.symbols}`];
+
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => setElapsed(Date.now() - startedAt), 100);
+    return () => clearInterval(id);
+  }, [running, startedAt]);
+
+  const start = () => {
+    setCells(createSchulteTable(settings.size, settings.symbols));
+    setNext(0);
+    setErrors(0);
+    setElapsed(0);
+    setFinished(false);
+    setStartedAt(Date.now());
+  };
+
+  const changeSettings = (patch) => {
+    setSettings((s) => {
+      const nextSettings = { ...s, ...patch };
+      nextSettings.size = Math.min(nextSettings.size, maxSchulteSize(nextSettings.symbols));
+      return nextSettings;
+    });
+    setCells(null);
+  };
+
+  const pick = (cell) => {
+    if (!running) return;
+    if (cell !== sequence[next]) {
+      setErrors((n) => n + 1);
+      return;
+    }
+    if (next + 1 < sequence.length) {
+      setNext(next + 1);
+      return;
+    }
+    const durationMs = Date.now() - startedAt;
+    setElapsed(durationMs);
+    setFinished(true);
+    onResult({ type: "schulte", size: settings.size, symbols: settings.symbols, durationMs, errors });
+  };
+
+  const cellSize = `min(${Math.floor(64 / settings.size)}vw, ${Math.floor(480 / settings.size)}px)`;
+
+  return (
+    <>
+      <div className="controls-row" style={{ flexWrap: "wrap", justifyContent: "flex-start" }}>
+        <label className="flex items-center gap-2">
+          <span>Размер:</span>
+          <select
+            value={settings.size}
+            onChange={(e) => changeSettings({ size: Number(e.target.value) })}
+            className="px-2 py-1 rounded text-gray-900"
+          >
+            {SCHULTE_SIZES.filter((n) => n <= maxSchulteSize(settings.symbols)).map((n) => (
+              <option key={n} value={n}>
+                {n}×{n}
+              </option>
+            ))}
+          </select>
+        </label>
+        {SCHULTE_SYMBOLS.map(({ value, label }) => (
+          <button
+            key={value}
+            className={btnClass(settings.symbols === value)}
+            aria-pressed={settings.symbols === value}
+            onClick={() => changeSettings({ symbols: value })}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          className={btnClass(showGuide)}
+          aria-pressed={showGuide}
+          onClick={() => setShowGuide((v) => !v)}
+          title="Линии через центр таблицы — взгляд держим в центре"
+        >
+          Ориентир
+        </button>
+        <button className={btnClass(true)} onClick={start}>
+          {cells ? "Заново" : "Старт"}
+        </button>
+      </div>
+
+      <div className="controls-row my-3" style={{ justifyContent: "flex-start" }}>
+        <strong>{formatClock(elapsed)}</strong>
+        {running && <span>Найдите: {sequence[next]}</span>}
+        <span className="opacity-75">Ошибок: {errors}</span>
+        {best != null && <span className="opacity-75">Рекорд: {formatClock(best)}</span>}
+      </div>
+
+      {finished && (
+        <div className="mb-3">
+          Готово за {(elapsed / 1000).toFixed(1)} с
+          {best != null && elapsed <= best ? " — новый рекорд!" : ""}
+        </div>
+      )}
+
+      {cells && (
+        <div
+          style={{
+            position: "relative",
+            display: "grid",
+            gridTemplateColumns: `repeat(${settings.size}, ${cellSize})`,
+            gap: 2,
+            width: "fit-content",
+            margin: "0 auto",
+          }}
+        >
+          {cells.map((cell) => (
+            <button
+              key={cell}
+              type="button"
+              onClick={() => pick(cell)}
+              disabled={!running}
+              style={{
+                width: cellSize,
+                height: cellSize,
+                fontSize: `calc(${cellSize} * 0.4)`,
+                background: isDark ? "#374151" : "#e5e7eb",
+                color: "inherit",
+                borderRadius: 4,
+              }}
+            >
+              {cell}
+            </button>
+          ))}
+          {showGuide && <CenterGuide isDark={isDark} cross />}
+        </div>
+      )}
+    </>
+  );
+}
+
+function FlashExercise({ isDark, onResult }) {
+  const [settings, setSettings] = useState(DEFAULT_FLASH);
+  const [step, setStep] = useState("idle"); // idle | fixation | show | answer | done
+  const [round, setRound] = useState(0);
+  const [correct, setCorrect] = useState(0);
+  const [word, setWord] = useState("");
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [answer, setAnswer] = useState("");
+  const [feedback, setFeedback] = useState(null); // { ok, word } прошлого раунда
+  const [startedAt, setStartedAt] = useState(0);
+  const [totalMs, setTotalMs] = useState(0);
+
+  // точка фиксации → слово → ответ
+  useEffect(() => {
+    if (step !== "fixation" && step !== "show") return;
+    const id = setTimeout(
+      () => setStep(step === "fixation" ? "show" : "answer"),
+      step === "fixation" ? FLASH_FIXATION_MS : settings.durationMs
+    );
+    return () => clearTimeout(id);
+  }, [step, settings.durationMs]);
+
+  const nextRound = (prevWord) => {
+    setWord(pickFlashWord(prevWord));
+    setOffset(flashOffset(settings.maxOffset));
+    setAnswer("");
+    setStep("fixation");
+  };
+
+  const start = () => {
+    setRound(0);
+    setCorrect(0);
+    setFeedback(null);
+    setStartedAt(Date.now());
+    nextRound("");
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const ok = normalizeWord(answer) === normalizeWord(word);
+    const nextCorrect = correct + (ok ? 1 : 0);
+    setCorrect(nextCorrect);
+    setFeedback({ ok, word });
+    if (round + 1 < settings.rounds) {
+      setRound(round + 1);
+      nextRound(word);
+      return;
+    }
+    const ms = Date.now() - startedAt;
+    setTotalMs(ms);
+    setStep("done");
+    onResult({
+      type: "flash",
+      rounds: settings.rounds,
+      correct: nextCorrect,
+      durationMs: settings.durationMs,
+      maxOffset: settings.maxOffset,
+      totalMs: ms,
+    });
+  };
+
+  const running = step !== "idle" && step !== "done";
+
+  return (
+    <>
+      <div className="controls-row" style={{ flexWrap: "wrap", justifyContent: "flex-start" }}>
+        {FLASH_FIELDS.map(({ key, label, min, max, step: inputStep }) => (
+          <label key={key} className="flex items-center gap-2">
+            <span>{label}:</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              step={inputStep}
+              value={settings[key]}
+              disabled={running}
+              onChange={(e) =>
+                setSettings((s) => ({ ...s, [key]: Math.max(min, Math.min(max, Number(e.target.value) || min)) }))
+              }
+              className="px-2 py-1 rounded text-gray-900"
+              style={{ width: 80 }}
+            />
+          </label>
+        ))}
+        <button className={btnClass(true)} onClick={start}>
+          {running ? "Заново" : "Старт"}
+        </button>
+      </div>
+
+      <div className="controls-row my-3" style={{ justifyContent: "flex-start" }}>
+        {running && (
+          <span>
+            Раунд {round + 1} из {settings.rounds}
+          </span>
+        )}
+        {step !== "idle" && <span>Верно: {correct}</span>}
+        {feedback && running && (
+          <span className="opacity-75">
+            {feedback.ok ? "✓" : "✗"} было: {feedback.word}
+          </span>
+        )}
+      </div>
+
+      {step === "done" && (
+        <div className="mb-3">
+          Верно {correct} из {settings.rounds} за {formatClock(totalMs)} (показ {settings.durationMs} мс)
+        </div>
+      )}
+
+      <div
+        style={{
+          position: "relative",
+          height: "min(60vh, 520px)",
+          overflow: "hidden",
+          borderRadius: 8,
+          background: isDark ? "#1f2937" : "#f3f4f6",
+        }}
+      >
+        {(step === "fixation" || step === "show") && <CenterGuide isDark={isDark} cross />}
+        {step === "show" && (
+          <div
+            style={{
+              position: "absolute",
+              left: `calc(50% + ${offset.x}px)`,
+              top: `calc(50% + ${offset.y}px)`,
+              transform: "translate(-50%, -50%)",
+              fontSize: 32,
+              fontWeight: "bold",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {word}
+          </div>
+        )}
+        {step === "answer" && (
+          <form
+            onSubmit={submit}
+            className="controls-row"
+            style={{ position: "absolute", inset: 0, alignItems: "center", justifyContent: "center" }}
+          >
+            <input
+              type="text"
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              placeholder="Какое слово было?"
+              className="px-2 py-1 rounded text-gray-900"
+              autoFocus
+            />
+            <button type="submit" className="btn">
+              Ответить
+            </button>
+          </form>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default function ExercisesView({ onBack, isDark, toggleTheme }) {
+  const [tab, setTab] = useState("schulte"); // schulte | flash
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    db.getAll(STORES.EXERCISES)
+      .then((all) => setHistory(all.sort((a, b) => b.createdAt.localeCompare(a.createdAt))))
+      .catch((e) => console.error("Не удалось загрузить историю упражнений:", e));
+  }, []);
+
+  const saveResult = useCallback(async (result) => {
+    const record = { ...result, createdAt: new Date().toISOString() };
+    try {
+      const id = await db.put(STORES.EXERCISES, record);
+      setHistory((h) => [{ ...record, id }, ...h]);
+    } catch (e) {
+      alert("Не удалось сохранить результат: " + e.message);
+    }
+  }, []);
+
+  const panelClass = `p-4 rounded-lg mb-4 ${
+    isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+  }`;
+  const cellStyle = { padding: "4px 8px", textAlign: "left" };
+  const tabHistory = history.filter((h) => h.type === tab).slice(0, EXERCISE_HISTORY_SHOWN);
+  const symbolsLabel = (v) => SCHULTE_SYMBOLS.find((s) => s.value === v)?.label || v;
+
+  return (
+    <div
+      className="min-h-screen flex flex-col items-center p-4 transition-colors duration-300"
+      style={{ backgroundColor: "var(--bg-color)", color: "var(--text-color)" }}
+    >
+      <header className="w-full max-w-4xl flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">🎯 Упражнения</h1>
+        <div className="flex items-center gap-4">
+          <button onClick={onBack} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+            ← К библиотеке
+          </button>
+          <button onClick={toggleTheme} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+            {isDark ? "☀️ День" : "🌙 Ночь"}
+          </button>
+        </div>
+      </header>
+
+      <main className="w-full max-w-4xl mx-auto text-left">
+        <div className="controls-row mb-4" style={{ justifyContent: "flex-start" }}>
+          <button className={btnClass(tab === "schulte")} aria-pressed={tab === "schulte"} onClick={() => setTab("schulte")}>
+            Таблицы Шульте
+          </button>
+          <button className={btnClass(tab === "flash")} aria-pressed={tab === "flash"} onClick={() => setTab("flash")}>
+            Слова-вспышки
+          </button>
+        </div>
+
+        <section className={panelClass}>
+          {tab === "schulte" ? (
+            <>
+              <p className="mb-3 text-sm opacity-75">
+                Смотрите в центр таблицы и находите символы по порядку, не водя глазами.
+              </p>
+              <SchulteExercise isDark={isDark} history={history} onResult={saveResult} />
+            </>
+          ) : (
+            <>
+              <p className="mb-3 text-sm opacity-75">
+                Держите взгляд на перекрестье: слово мелькнёт в стороне — введите, что успели увидеть.
+              </p>
+              <FlashExercise isDark={isDark} onResult={saveResult} />
+            </>
+          )}
+        </section>
+
+        {tabHistory.length > 0 && (
+          <section className={panelClass}>
+            <h2 className="font-semibold text-lg mb-3">История</h2>
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <thead>
+                {tab === "schulte" ? (
+                  <tr className="opacity-75 text-sm">
+                    <th style={cellStyle}>Дата</th>
+                    <th style={cellStyle}>Таблица</th>
+                    <th style={cellStyle}>Время</th>
+                    <th style={cellStyle}>Ошибок</th>
+                  </tr>
+                ) : (
+                  <tr className="opacity-75 text-sm">
+                    <th style={cellStyle}>Дата</th>
+                    <th style={cellStyle}>Верно</th>
+                    <th style={cellStyle}>Показ</th>
+                    <th style={cellStyle}>Смещение</th>
+                    <th style={cellStyle}>Время</th>
+                  </tr>
+                )}
+              </thead>
+              <tbody>
+                {tabHistory.map((h) => {
+                  const date = new Date(h.createdAt).toLocaleString("ru-RU", { dateStyle: "short", timeStyle: "short" });
+                  return tab === "schulte" ? (
+                    <tr key={h.id}>
+                      <td style={cellStyle}>{date}</td>
+                      <td style={cellStyle}>
+                        {h.size}×{h.size}, {symbolsLabel(h.symbols).toLowerCase()}
+                      </td>
+                      <td style={cellStyle}>{(h.durationMs / 1000).toFixed(1)} с</td>
+                      <td style={cellStyle}>{h.errors}</td>
+                    </tr>
+                  ) : (
+                    <tr key={h.id}>
+                      <td style={cellStyle}>{date}</td>
+                      <td style={cellStyle}>
+                        {h.correct} из {h.rounds}
+                      </td>
+                      <td style={cellStyle}>{h.durationMs} мс</td>
+                      <td style={cellStyle}>до {h.maxOffset}px</td>
+                      <td style={cellStyle}>{formatClock(h.totalMs)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
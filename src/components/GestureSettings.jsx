@@ -0,0 +1,58 @@
+/* =============================
+   Жесты на области чтения: какая команда на какой жест
+============================= */
+import { COMMANDS } from "../keymap";
+import { GESTURES, EDGE_WIDTHS, DEFAULT_GESTURES } from "../gestures";
+
+export default function GestureSettings({ gestures, onChange, isDark }) {
+  const set = (patch) => onChange({ ...gestures, ...patch });
+  return (
+    <div
+      className={`controls-row compactable p-2 rounded text-sm ${
+        isDark ? "bg-gray-800" : "bg-white border border-gray-300"
+      }`}
+      style={{ marginTop: 12, flexWrap: "wrap" }}
+    >
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={gestures.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        <span>Жесты на области чтения (касания пальцем)</span>
+      </label>
+      <label className="flex items-center gap-2">
+        <span>Края:</span>
+        <select
+          value={String(gestures.edgeWidth)}
+          onChange={(e) => set({ edgeWidth: Number(e.target.value) })}
+          className="px-2 py-1 rounded text-gray-900"
+          disabled={!gestures.enabled}
+        >
+          {EDGE_WIDTHS.map(({ value, label }) => (
+            <option key={value} value={String(value)}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {GESTURES.map(({ key, label }) => (
+        <label key={key} className="flex items-center gap-2">
+          <span>{label}:</span>
+          <select
+            value={gestures[key]}
+            onChange={(e) => set({ [key]: e.target.value })}
+            className="px-2 py-1 rounded text-gray-900"
+            disabled={!gestures.enabled}
+          >
+            <option value="">—</option>
+            {COMMANDS.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+      <button className="btn" onClick={() => onChange({ ...DEFAULT_GESTURES })}>
+        По умолчанию
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+/* =============================
+   Ненавязчивая панель импорта: этап, прогресс, отмена и итог по каждому файлу
+============================= */
+// Этапы импорта одной книги (в порядке прохождения, см. importWorker.js)
+const IMPORT_STAGE_LABELS = {
+  unpack: "Распаковка",
+  decode: "Декодирование",
+  parse: "Разбор",
+  tokenize: "Разбиение на слова",
+  save: "Сохранение",
+};
+const IMPORT_STAGES = Object.keys(IMPORT_STAGE_LABELS);
+
+const IMPORT_STATUS_TITLES = {
+  running: "Импорт…",
+  done: "Импорт завершён",
+  error: "Ошибка импорта",
+  cancelled: "Импорт отменён",
+};
+
+export default function ImportStatusPanel({ state, onCancel, onClose, isDark }) {
+  const { status, stage, name, index, total, results, error } = state;
+  const running = status === "running";
+  const stageIdx = Math.max(0, IMPORT_STAGES.indexOf(stage));
+  const fraction = running
+    ? (index + (stageIdx + 1) / IMPORT_STAGES.length) / Math.max(1, total)
+    : 1;
+  const okCount = results.filter((r) => r.ok).length;
+
+  return (
+    <section
+      className={`p-4 mb-4 rounded-lg text-left ${
+        isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+      }`}
+      role="status"
+      aria-live="polite"
+    >
+      <h2 className="font-semibold text-lg mb-1">
+        {IMPORT_STATUS_TITLES[status]}
+        {!running && results.length > 0 && `: ${okCount} из ${results.length}`}
+      </h2>
+      <div className="text-sm opacity-75 mb-2 truncate">{state.fileName}</div>
+
+      {running && (
+        <>
+          <div className="text-sm mb-1 truncate">
+            {total > 1 && `${index + 1} / ${total} · `}
+            {IMPORT_STAGE_LABELS[stage]}
+            {name !== state.fileName && ` · ${name}`}
+          </div>
+          <div
+            className="w-full rounded mb-3"
+            style={{ height: 6, background: isDark ? "#374151" : "#d1d5db" }}
+          >
+            <div
+              className="rounded"
+              style={{
+                height: "100%",
+                width: `${Math.round(fraction * 100)}%`,
+                background: "#4f46e5",
+                transition: "width 0.2s",
+              }}
+            />
+          </div>
+        </>
+      )}
+
+      {error && <div className="mb-2 text-red-500">{error}</div>}
+
+      {results.length > 0 && (
+        <ul className="space-y-1 mb-3">
+          {results.map((r, i) => (
+            <li key={`${r.name}-${i}`} className="truncate">
+              {r.ok ? "✅" : "❌"} {r.name}
+              {r.ok ? ` → «${r.title}»` : `: ${r.error}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {running ? (
+        <button className="btn" onClick={onCancel}>
+          Отменить
+        </button>
+      ) : (
+        <button className="btn" onClick={onClose}>
+          Закрыть
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,33 @@
+/* =============================
+   Вопросы проверки понимания: после проверки верный вариант ✓, ошибочный выбор ✗
+============================= */
+import { btnClass } from "./ui";
+
+export default function QuizQuestions({ questions, answers, checked, onAnswer }) {
+  return questions.map((q, qi) => (
+    <div key={qi} className="mb-3">
+      <div className="mb-1">
+        {qi + 1}. {q.type === "cloze" ? "Какое слово пропущено?" : q.prompt}
+      </div>
+      {q.type === "cloze" && <div className="mb-1 opacity-90 italic">{q.prompt}</div>}
+      <div className="controls-row" style={{ flexWrap: "wrap", justifyContent: "flex-start" }}>
+        {q.options.map((opt, oi) => {
+          const mark = checked && (oi === q.answer ? "✓ " : oi === answers[qi] ? "✗ " : "");
+          return (
+            <button
+              key={oi}
+              type="button"
+              className={btnClass(answers[qi] === oi)}
+              aria-pressed={answers[qi] === oi}
+              onClick={() => !checked && onAnswer(qi, oi)}
+              style={{ textAlign: "left", whiteSpace: "normal" }}
+            >
+              {mark}
+              {opt}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  ));
+}
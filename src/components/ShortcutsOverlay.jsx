@@ -0,0 +1,144 @@
+/* =============================
+   Список клавиш («?») и их настройка
+============================= */
+import { useEffect, useState } from "react";
+import {
+  COMMANDS,
+  COMMAND_GROUPS,
+  DEFAULT_KEYMAP,
+  eventToCombo,
+  comboLabel,
+  commandForCombo,
+  bindKey,
+  unbindKey,
+} from "../keymap";
+import { btnClass } from "./ui";
+
+export default function ShortcutsOverlay({ keymap, onChange, onClose, isDark }) {
+  const [editing, setEditing] = useState(false);
+  const [capturing, setCapturing] = useState(null); // id команды, ждём нажатия
+  const [notice, setNotice] = useState("");
+
+  // ждём сочетание раньше ридера (фаза захвата), чтобы нажатие не выполнило команду
+  useEffect(() => {
+    if (!capturing) return;
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === "Escape") {
+        setCapturing(null);
+        return;
+      }
+      const combo = eventToCombo(e);
+      if (!combo) return;
+      const owner = commandForCombo(keymap, combo);
+      setNotice(
+        owner && owner !== capturing
+          ? `${comboLabel(combo)} снята с команды «${COMMANDS.find((c) => c.id === owner).label}»`
+          : ""
+      );
+      onChange(bindKey(keymap, capturing, combo));
+      setCapturing(null);
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [capturing, keymap, onChange]);
+
+  const kbdClass = `px-2 py-0.5 rounded font-mono text-sm ${isDark ? "bg-gray-700" : "bg-gray-200"}`;
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 50,
+        background: "rgba(0, 0, 0, 0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: 16,
+      }}
+    >
+      <section
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-2xl p-4 rounded-lg text-left overflow-y-auto ${
+          isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+        }`}
+        style={{ maxHeight: "90vh" }}
+        role="dialog"
+        aria-label="Клавиши"
+      >
+        <h2 className="font-semibold text-lg mb-2">Клавиши</h2>
+        {editing && (
+          <p className="text-sm opacity-75 mb-2">
+            «+» — нажмите новое сочетание (Esc — отмена). Клавиша, занятая другой командой, переходит к этой.
+          </p>
+        )}
+        {notice && <p className="text-sm mb-2">{notice}</p>}
+
+        {COMMAND_GROUPS.map(({ value, label }) => (
+          <div key={value} className="mb-3">
+            <h3 className="font-semibold opacity-75 mb-1">{label}</h3>
+            <table className="w-full text-sm">
+              <tbody>
+                {COMMANDS.filter((c) => c.group === value && (editing || keymap[c.id]?.length)).map((c) => (
+                  <tr key={c.id}>
+                    <td className="py-0.5 pr-2">{c.label}</td>
+                    <td className="py-0.5 text-right">
+                      <span className="inline-flex flex-wrap gap-1 justify-end items-center">
+                        {keymap[c.id].map((combo) => (
+                          <kbd key={combo} className={kbdClass}>
+                            {comboLabel(combo)}
+                            {editing && (
+                              <button
+                                className="ml-1 opacity-60"
+                                onClick={() => onChange(unbindKey(keymap, c.id, combo))}
+                                aria-label={`Снять ${comboLabel(combo)}`}
+                              >
+                                ✕
+                              </button>
+                            )}
+                          </kbd>
+                        ))}
+                        {editing && (
+                          <button
+                            className={btnClass(capturing === c.id)}
+                            onClick={() => setCapturing(capturing === c.id ? null : c.id)}
+                            aria-pressed={capturing === c.id}
+                          >
+                            {capturing === c.id ? "Нажмите…" : "+"}
+                          </button>
+                        )}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+
+        <div className="controls-row" style={{ justifyContent: "flex-start" }}>
+          <button className={btnClass(editing)} onClick={() => setEditing((v) => !v)} aria-pressed={editing}>
+            {editing ? "Готово" : "Изменить"}
+          </button>
+          {editing && (
+            <button
+              className="btn"
+              onClick={() => {
+                onChange({ ...DEFAULT_KEYMAP });
+                setNotice("");
+              }}
+            >
+              По умолчанию
+            </button>
+          )}
+          <button className="btn" onClick={onClose}>
+            Закрыть
+          </button>
+        </div>
+      </section>
+    </div>
+  );
+}
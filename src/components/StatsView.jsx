@@ -0,0 +1,202 @@
+/* =============================
+   Статистика: сессии чтения, серии, скорость
+============================= */
+import { useEffect, useMemo, useState } from "react";
+import { db, STORES } from "../db";
+import {
+  MODE_LABELS,
+  lastDays,
+  totalsByDay,
+  readingStreaks,
+  averageWpm,
+  totalsByBook,
+  comprehensionPercent,
+  sessionsComprehension,
+} from "../stats";
+import { formatDuration } from "./ui";
+
+const STATS_DAYS = 14;
+const RECENT_SESSIONS = 20;
+
+export default function StatsView({ onBack, isDark, toggleTheme }) {
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    db.getAll(STORES.SESSIONS)
+      .then((all) => setSessions(all.sort((a, b) => b.startedAt.localeCompare(a.startedAt))))
+      .catch((e) => {
+        console.error("Не удалось загрузить статистику:", e);
+        setSessions([]);
+      });
+  }, []);
+
+  const summary = useMemo(() => {
+    if (!sessions) return null;
+    const words = sessions.reduce((n, s) => n + s.words, 0);
+    const activeMs = sessions.reduce((n, s) => n + s.activeMs, 0);
+    const byDay = totalsByDay(sessions);
+    const days = lastDays(STATS_DAYS).map((day) => ({
+      day,
+      words: byDay[day]?.words || 0,
+      wpm: byDay[day] ? averageWpm(byDay[day].words, byDay[day].activeMs) : 0,
+    }));
+    return {
+      words,
+      activeMs,
+      wpm: averageWpm(words, activeMs),
+      comprehension: sessionsComprehension(sessions),
+      streaks: readingStreaks(sessions),
+      days,
+      maxDayWords: Math.max(1, ...days.map((d) => d.words)),
+      books: totalsByBook(sessions),
+    };
+  }, [sessions]);
+
+  const panelClass = `p-4 rounded-lg mb-4 ${
+    isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+  }`;
+  const cellStyle = { padding: "4px 8px", textAlign: "left" };
+  const formatDay = (day) => day.slice(8) + "." + day.slice(5, 7);
+
+  return (
+    <div
+      className="min-h-screen flex flex-col items-center p-4 transition-colors duration-300"
+      style={{ backgroundColor: "var(--bg-color)", color: "var(--text-color)" }}
+    >
+      <header className="w-full max-w-4xl flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">📊 Статистика чтения</h1>
+        <div className="flex items-center gap-4">
+          <button onClick={onBack} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+            ← К библиотеке
+          </button>
+          <button onClick={toggleTheme} className="px-3 py-2 rounded bg-gray-700 hover:bg-gray-600">
+            {isDark ? "☀️ День" : "🌙 Ночь"}
+          </button>
+        </div>
+      </header>
+
+      <main className="w-full max-w-4xl mx-auto text-left">
+        {!summary && <div className="opacity-75">Загрузка…</div>}
+
+        {summary && sessions.length === 0 && (
+          <section className={panelClass}>
+            Пока нет ни одной сессии. Запустите чтение в любой книге — сессия
+            сохранится при выходе из книги.
+          </section>
+        )}
+
+        {summary && sessions.length > 0 && (
+          <>
+            {/* Итоги */}
+            <section className={panelClass} style={{ display: "flex", flexWrap: "wrap", gap: "24px" }}>
+              <div>
+                <div className="text-sm opacity-75">Прочитано слов</div>
+                <div className="text-xl font-bold">{summary.words.toLocaleString("ru-RU")}</div>
+              </div>
+              <div>
+                <div className="text-sm opacity-75">Время чтения</div>
+                <div className="text-xl font-bold">{formatDuration(summary.activeMs / 60000)}</div>
+              </div>
+              <div>
+                <div className="text-sm opacity-75">Средняя скорость</div>
+                <div className="text-xl font-bold">{summary.wpm} WPM</div>
+              </div>
+              <div>
+                <div className="text-sm opacity-75">Понимание</div>
+                <div className="text-xl font-bold">
+                  {summary.comprehension == null ? "—" : `${summary.comprehension}%`}
+                </div>
+              </div>
+              <div>
+                <div className="text-sm opacity-75">Серия дней</div>
+                <div className="text-xl font-bold">
+                  {summary.streaks.current}{" "}
+                  <span className="text-sm opacity-75">(рекорд {summary.streaks.longest})</span>
+                </div>
+              </div>
+            </section>
+
+            {/* Слова по дням */}
+            <section className={panelClass}>
+              <h2 className="font-semibold text-lg mb-3">Слова за {STATS_DAYS} дней</h2>
+              <div style={{ display: "flex", alignItems: "flex-end", gap: "4px", height: 140 }}>
+                {summary.days.map((d) => (
+                  <div
+                    key={d.day}
+                    title={`${formatDay(d.day)}: ${d.words} слов${d.wpm ? `, ${d.wpm} WPM` : ""}`}
+                    style={{ flex: 1, display: "flex", flexDirection: "column", justifyContent: "flex-end", height: "100%" }}
+                  >
+                    <div
+                      style={{
+                        height: `${(d.words / summary.maxDayWords) * 100}%`,
+                        minHeight: d.words ? 2 : 0,
+                        background: "#6366f1",
+                        borderRadius: 2,
+                      }}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div style={{ display: "flex", gap: "4px", fontSize: 11 }} className="opacity-75 mt-1">
+                {summary.days.map((d) => (
+                  <div key={d.day} style={{ flex: 1, textAlign: "center" }}>
+                    {formatDay(d.day)}
+                    <div>{d.wpm || "—"}</div>
+                  </div>
+                ))}
+              </div>
+              <div className="text-xs opacity-75 mt-1">Под датой — средняя скорость за день (WPM)</div>
+            </section>
+
+            {/* По книгам */}
+            <section className={panelClass}>
+              <h2 className="font-semibold text-lg mb-3">По книгам</h2>
+              <table style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr className="opacity-75 text-sm">
+                    <th style={cellStyle}>Книга</th>
+                    <th style={cellStyle}>Сессий</th>
+                    <th style={cellStyle}>Слов</th>
+                    <th style={cellStyle}>Время</th>
+                    <th style={cellStyle}>WPM</th>
+                    <th style={cellStyle}>Понимание</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.books.map((b) => (
+                    <tr key={b.bookId}>
+                      <td style={cellStyle}>{b.title}</td>
+                      <td style={cellStyle}>{b.sessions}</td>
+                      <td style={cellStyle}>{b.words.toLocaleString("ru-RU")}</td>
+                      <td style={cellStyle}>{formatDuration(b.activeMs / 60000)}</td>
+                      <td style={cellStyle}>{b.wpm}</td>
+                      <td style={cellStyle}>{b.comprehension == null ? "—" : `${b.comprehension}%`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            {/* Последние сессии */}
+            <section className={panelClass}>
+              <h2 className="font-semibold text-lg mb-3">Последние сессии</h2>
+              <ul className="space-y-1 text-sm">
+                {sessions.slice(0, RECENT_SESSIONS).map((s) => (
+                  <li key={s.id}>
+                    {new Date(s.startedAt).toLocaleString("ru-RU", { dateStyle: "short", timeStyle: "short" })}
+                    {" · "}
+                    <span className="font-medium">{s.bookTitle}</span>
+                    {" · "}
+                    {s.words} слов за {formatDuration(s.activeMs / 60000)} · {s.wpm} WPM
+                    {s.quizTotal > 0 && ` (понимание ${comprehensionPercent(s.quizCorrect, s.quizTotal)}%)`} ·{" "}
+                    {MODE_LABELS[s.mode] || s.mode}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+/* =============================
+   Синхронизация: адрес сервера, ручной запуск и итог последнего раза
+============================= */
+import { useState } from "react";
+import { SYNC_ADAPTERS, isSyncReady } from "../sync";
+import { btnClass } from "./ui";
+
+export default function SyncPanel({ config, onSaveConfig, syncState, onSync, isDark }) {
+  const [draft, setDraft] = useState(config);
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const dirty = JSON.stringify(draft) !== JSON.stringify(config);
+  const running = syncState.status === "running";
+  const { result } = syncState;
+
+  return (
+    <section
+      className={`p-4 mb-4 rounded-lg text-left ${
+        isDark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-900 border border-gray-300"
+      }`}
+    >
+      <h2 className="font-semibold text-lg mb-2">Синхронизация</h2>
+      <p className="text-sm opacity-75 mb-3">
+        Список книг и позиции чтения — между устройствами через свой сервер. Сами книги не передаются.
+      </p>
+      <label className="flex items-center gap-2 mb-2">
+        <input type="checkbox" checked={draft.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        <span>Синхронизировать при выходе из книги и закрытии вкладки</span>
+      </label>
+      <div className="controls-row mb-2" style={{ justifyContent: "flex-start", flexWrap: "wrap" }}>
+        <select value={draft.type} onChange={(e) => set({ type: e.target.value })} className="btn">
+          {Object.entries(SYNC_ADAPTERS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="url"
+          value={draft.url}
+          onChange={(e) => set({ url: e.target.value })}
+          placeholder={draft.type === "webdav" ? "https://dav.example.com/speedreader.json" : "http://localhost:8787/sync.json"}
+          className="btn"
+          style={{ flex: 1, minWidth: 260 }}
+        />
+      </div>
+      <div className="controls-row mb-2" style={{ justifyContent: "flex-start", flexWrap: "wrap" }}>
+        {draft.type === "webdav" ? (
+          <>
+            <input
+              value={draft.username}
+              onChange={(e) => set({ username: e.target.value })}
+              placeholder="Логин"
+              autoComplete="username"
+              className="btn"
+            />
+            <input
+              type="password"
+              value={draft.password}
+              onChange={(e) => set({ password: e.target.value })}
+              placeholder="Пароль"
+              autoComplete="current-password"
+              className="btn"
+            />
+          </>
+        ) : (
+          <input
+            value={draft.token}
+            onChange={(e) => set({ token: e.target.value })}
+            placeholder="Токен (необязательно)"
+            className="btn"
+          />
+        )}
+      </div>
+      <div className="controls-row" style={{ justifyContent: "flex-start" }}>
+        <button className={btnClass(dirty)} onClick={() => onSaveConfig(draft)} disabled={!dirty}>
+          Сохранить
+        </button>
+        <button className="btn" onClick={onSync} disabled={running || dirty || !isSyncReady(config)}>
+          Синхронизировать сейчас
+        </button>
+        {running && <span className="opacity-75">Синхронизация…</span>}
+      </div>
+
+      {syncState.status === "error" && <div className="mt-3 text-red-500">Ошибка: {syncState.error}</div>}
+      {syncState.status === "done" && result && (
+        <div className="mt-3">
+          <div>
+            {new Date(syncState.at).toLocaleTimeString("ru-RU")}: получено позиций {result.pulled}, отправлено{" "}
+            {result.pushed}
+            {result.conflicts > 0 && `, конфликтов ${result.conflicts}`}.
+          </div>
+          {result.remoteOnly.length > 0 && (
+            <div className="mt-2">
+              <div className="opacity-75">Есть только на других устройствах (загрузите файл, чтобы продолжить):</div>
+              <ul className="list-disc ml-6">
+                {result.remoteOnly.map((b) => (
+                  <li key={`${b.title}|${b.author}|${b.wordCount}`}>
+                    {b.title}
+                    {b.author && ` — ${b.author}`}
+                    {b.wordCount > 0 && `, ${Math.round((b.progress / b.wordCount) * 100)}%`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
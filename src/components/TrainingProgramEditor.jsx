@@ -0,0 +1,111 @@
+/* =============================
+   Редактор программ тренировки «Угол зрения»
+============================= */
+import { useState } from "react";
+import { TRAINING_PATTERNS, PROGRAM_FIELDS, isPreset } from "../training";
+import { formatTrainingSummary } from "./ui";
+
+export default function TrainingProgramEditor({ programs, selected, onSelect, onSave, onDelete, summaries, isDark }) {
+  const [draft, setDraft] = useState(selected);
+  const preset = isPreset(selected);
+  const setField = (key, value) => setDraft((d) => ({ ...d, [key]: value }));
+
+  return (
+    <div
+      className={`mt-2 p-3 rounded text-left text-sm ${
+        isDark ? "bg-gray-800" : "bg-white border border-gray-300"
+      }`}
+    >
+      <div className="controls-row" style={{ flexWrap: "wrap", justifyContent: "flex-start" }}>
+        <label className="flex items-center gap-2">
+          <span>Программа:</span>
+          <select
+            value={String(selected.id)}
+            onChange={(e) => onSelect(programs.find((p) => String(p.id) === e.target.value).id)}
+            className="px-2 py-1 rounded text-gray-900"
+          >
+            {programs.map((p) => (
+              <option key={p.id} value={String(p.id)}>
+                {p.name}
+                {isPreset(p) ? " (встроенная)" : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="controls-row" style={{ flexWrap: "wrap", justifyContent: "flex-start", marginTop: 8 }}>
+        <label className="flex items-center gap-2">
+          <span>Название:</span>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setField("name", e.target.value)}
+            className="px-2 py-1 rounded text-gray-900"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <span>Узор:</span>
+          <select
+            value={draft.pattern}
+            onChange={(e) => setField("pattern", e.target.value)}
+            className="px-2 py-1 rounded text-gray-900"
+          >
+            {TRAINING_PATTERNS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {PROGRAM_FIELDS.map(({ key, label, min, max, step }) => (
+          <label key={key} className="flex items-center gap-2">
+            <span>{label}:</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              step={step}
+              value={draft[key]}
+              onChange={(e) => setField(key, e.target.value)}
+              className="px-2 py-1 rounded text-gray-900"
+              style={{ width: 80 }}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="controls-row" style={{ justifyContent: "flex-start", marginTop: 8 }}>
+        <button
+          className="btn"
+          onClick={() => onSave(draft, false)}
+          disabled={preset}
+          title={preset ? "Встроенную программу нельзя изменить — сохраните как новую" : undefined}
+        >
+          Сохранить
+        </button>
+        <button className="btn" onClick={() => onSave(draft, true)}>
+          Сохранить как новую
+        </button>
+        {!preset && (
+          <button className="btn" onClick={() => onDelete(selected.id)}>
+            Удалить
+          </button>
+        )}
+      </div>
+
+      {summaries.length > 0 && (
+        <>
+          <div className="font-semibold mt-3 mb-1">Последние тренировки</div>
+          <ul className="space-y-1">
+            {summaries.map((t) => (
+              <li key={t.id}>
+                {new Date(t.startedAt).toLocaleDateString("ru-RU")} · {formatTrainingSummary(t)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
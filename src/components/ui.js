@@ -0,0 +1,27 @@
+/* =============================
+   Общие мелочи вёрстки для компонентов
+============================= */
+
+// Хелпер для классов кнопок (активная = синяя)
+export const btnClass = (active) =>
+  `px-4 py-2 rounded ${active ? "bg-blue-600 text-white" : "bg-gray-700"} hover:bg-gray-600 transition`;
+
+// минуты → «2 ч 15 мин» / «40 мин» / «< 1 мин»
+export function formatDuration(minutes) {
+  const total = Math.round(minutes);
+  if (total < 1) return "< 1 мин";
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  return h ? `${h} ч ${m} мин` : `${m} мин`;
+}
+
+// мс → «m:ss»
+export const formatClock = (ms) => {
+  const sec = Math.floor(ms / 1000);
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+};
+
+// Итог тренировки «Угол зрения» одной строкой
+export const formatTrainingSummary = (t) =>
+  `«${t.programName}»: ${formatClock(t.durationMs)}, пар ${t.pairs}, макс. расстояние ${t.maxGap}px, ` +
+  (t.endWpm !== t.startWpm ? `WPM ${t.startWpm} → ${t.endWpm}` : `${t.startWpm} WPM`);
@@ -0,0 +1,152 @@
+/* =============================
+   Проверка понимания прочитанного
+   Вопросы строятся только из words (без сети): пропуск слова в предложении
+   из отрывка и «какое предложение было в тексте».
+============================= */
+import { isSentenceEnd } from "./tokens";
+
+export const DEFAULT_COMPREHENSION = {
+  enabled: false,
+  interval: 1000, // число слов или "chapter" — в конце главы
+};
+
+export const COMPREHENSION_INTERVALS = [
+  { value: 500, label: "каждые 500 слов" },
+  { value: 1000, label: "каждые 1000 слов" },
+  { value: 2000, label: "каждые 2000 слов" },
+  { value: "chapter", label: "в конце главы" },
+];
+
+const CLOZE_QUESTIONS = 3;
+const SEEN_QUESTIONS = 2;
+const OPTIONS = 4;
+const MIN_SENTENCE_WORDS = 5;
+const MAX_SENTENCE_WORDS = 30;
+const MIN_CONTENT_LETTERS = 5; // короче — скорее служебное слово
+const BLANK = "_____";
+
+const EDGE_PUNCT_RE = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+const bareWord = (word) => word.replace(EDGE_PUNCT_RE, "");
+
+function shuffle(arr, rand) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// целые предложения подходящей длины в [from, to): [{ start, end }]
+function sentencesIn(words, from, to) {
+  const out = [];
+  // отрывок мог начаться посреди предложения — такой обрывок пропускаем
+  let complete = from === 0 || isSentenceEnd(words[from - 1]);
+  let start = from;
+  for (let i = from; i < to; i++) {
+    if (!isSentenceEnd(words[i])) continue;
+    const len = i + 1 - start;
+    if (complete && len >= MIN_SENTENCE_WORDS && len <= MAX_SENTENCE_WORDS) out.push({ start, end: i + 1 });
+    start = i + 1;
+    complete = true;
+  }
+  return out;
+}
+
+const sentenceText = (words, s) => words.slice(s.start, s.end).join(" ");
+
+// вопрос с вариантами: answer — номер правильного варианта
+function makeQuestion(type, prompt, correct, distractors, rand) {
+  const options = shuffle([correct, ...distractors], rand);
+  return { type, prompt, options, answer: options.indexOf(correct) };
+}
+
+function clozeQuestions(words, sentences, contentWords, count, rand) {
+  const questions = [];
+  for (const s of shuffle(sentences, rand)) {
+    if (questions.length >= count) break;
+    const candidates = [];
+    for (let i = s.start; i < s.end; i++) {
+      if (bareWord(words[i]).length >= MIN_CONTENT_LETTERS) candidates.push(i);
+    }
+    if (!candidates.length) continue;
+
+    const idx = candidates[Math.floor(rand() * candidates.length)];
+    const answer = bareWord(words[idx]).toLowerCase();
+    const distractors = shuffle(
+      contentWords.filter((w) => w !== answer),
+      rand
+    ).slice(0, OPTIONS - 1);
+    if (distractors.length < OPTIONS - 1) continue;
+
+    const prompt = words
+      .slice(s.start, s.end)
+      .map((w, k) => (s.start + k === idx ? w.replace(bareWord(w), BLANK) : w))
+      .join(" ");
+    questions.push(makeQuestion("cloze", prompt, answer, distractors, rand));
+  }
+  return questions;
+}
+
+function seenQuestions(words, sentences, otherSentences, count, rand) {
+  const questions = [];
+  const others = shuffle(otherSentences, rand);
+  for (const s of shuffle(sentences, rand)) {
+    if (questions.length >= count || others.length < OPTIONS - 1) break;
+    const distractors = others.splice(0, OPTIONS - 1).map((o) => sentenceText(words, o));
+    questions.push(
+      makeQuestion("seen", "Какое предложение было в прочитанном отрывке?", sentenceText(words, s), distractors, rand)
+    );
+  }
+  return questions;
+}
+
+/**
+ * Вопросы по отрывку words[from, to).
+ * Вернёт [{ type: "cloze" | "seen", prompt, options, answer }] — пустой массив,
+ * если отрывок слишком короткий для вопросов.
+ */
+export function buildQuiz(words, from, to, rand = Math.random) {
+  const sentences = sentencesIn(words, from, to);
+  if (!sentences.length) return [];
+
+  const contentWords = Array.from(
+    new Set(
+      words
+        .slice(from, to)
+        .map((w) => bareWord(w).toLowerCase())
+        .filter((w) => w.length >= MIN_CONTENT_LETTERS)
+    )
+  );
+  // отвлекающие предложения — из ещё не прочитанного текста после отрывка,
+  // в конце книги добираем из текста до него
+  const around = 20 * MAX_SENTENCE_WORDS;
+  let otherSentences = sentencesIn(words, to, Math.min(words.length, to + around));
+  if (otherSentences.length < SEEN_QUESTIONS * (OPTIONS - 1)) {
+    otherSentences = [...otherSentences, ...sentencesIn(words, Math.max(0, from - around), from)];
+  }
+
+  return [
+    ...clozeQuestions(words, sentences, contentWords, CLOZE_QUESTIONS, rand),
+    ...seenQuestions(words, sentences, otherSentences, SEEN_QUESTIONS, rand),
+  ];
+}
+
+// число верных ответов; answers[i] — выбранный вариант вопроса i
+export const scoreQuiz = (questions, answers) =>
+  questions.filter((q, i) => answers[i] === q.answer).length;
+
+export const isQuizAnswered = (questions, answers) =>
+  questions.every((_, i) => answers[i] != null);
+
+// где закончится отрывок, начатый на segmentStart: не дальше последнего слова —
+// до words.length позиция чтения не доходит (последняя глава, книга без оглавления)
+export function quizCheckpoint(settings, segmentStart, toc, wordsLength) {
+  const last = Math.max(0, wordsLength - 1);
+  if (settings.interval === "chapter") {
+    const next = toc.find((ch) => ch.wordIndex > segmentStart);
+    return next ? next.wordIndex : last;
+  }
+  return Math.min(segmentStart + settings.interval, last);
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from "vitest";
+import { quizCheckpoint } from "./comprehension";
+
+const byChapter = { enabled: true, interval: "chapter" };
+const toc = [
+  { title: "Глава 1", wordIndex: 0 },
+  { title: "Глава 2", wordIndex: 400 },
+];
+
+describe("quizCheckpoint", () => {
+  it("в конце главы — начало следующей", () => {
+    expect(quizCheckpoint(byChapter, 0, toc, 1000)).toBe(400);
+  });
+
+  it("последняя глава кончается на последнем слове, до которого доходит чтение", () => {
+    expect(quizCheckpoint(byChapter, 400, toc, 1000)).toBe(999);
+  });
+
+  it("книга без оглавления — проверка в конце книги", () => {
+    expect(quizCheckpoint(byChapter, 0, [], 1000)).toBe(999);
+  });
+
+  it("через N слов — не дальше последнего слова", () => {
+    expect(quizCheckpoint({ enabled: true, interval: 500 }, 100, [], 1000)).toBe(600);
+    expect(quizCheckpoint({ enabled: true, interval: 500 }, 700, [], 1000)).toBe(999);
+  });
+});
@@ -0,0 +1,281 @@
+/* =============================
+   IndexedDB (без авторизации)
+   Общий модуль: им пользуются и UI, и воркер импорта
+============================= */
+import { deriveMarks } from "./tokens";
+
+export const DB_NAME = "speedreader-db";
+export const DB_VERSION = 9;
+export const STORES = {
+  BOOKS: "books",             // метаданные + прогресс (лёгкие записи для библиотеки)
+  CONTENTS: "contents",       // содержимое книги, ключ = id книги; грузится при открытии
+  ANNOTATIONS: "annotations", // закладки и выделения, индекс bookId
+  SESSIONS: "sessions",       // сессии чтения для статистики, индекс bookId
+  ASSESSMENTS: "assessments", // результаты оценки скорости чтения
+  TRAINING_PROGRAMS: "trainingPrograms", // свои программы тренировки «Угол зрения»
+  TRAINING_SESSIONS: "trainingSessions", // итоги тренировок
+  EXERCISES: "exercises",     // результаты упражнений (Шульте, слова-вспышки)
+  DETAILS: "details",         // обложка и аннотация, ключ = id книги; сохранение позиции их не переписывает
+};
+
+// Поля книги, которые живут в STORES.CONTENTS, а не в STORES.BOOKS
+export const CONTENT_FIELDS = ["words", "marks", "toc", "footnotes", "noteRefs"];
+// …и в STORES.DETAILS (обложка — data URL на десятки КБ)
+export const DETAIL_FIELDS = ["cover", "annotation"];
+
+// Полная запись книги → { meta, content, details }
+export function splitBook(book) {
+  const meta = { ...book };
+  const content = {};
+  const details = {};
+  for (const f of CONTENT_FIELDS) {
+    if (f in meta) content[f] = meta[f];
+    delete meta[f];
+  }
+  for (const f of DETAIL_FIELDS) {
+    if (meta[f] != null) details[f] = meta[f];
+    delete meta[f];
+  }
+  meta.wordCount = content.words?.length ?? meta.wordCount ?? 0;
+  // книга из старой копии или старого импорта — флаги восстанавливаем из слов
+  if (content.words && !content.marks) content.marks = deriveMarks(content.words, content.toc);
+  return { meta, content, details };
+}
+
+const hasDetails = (details) => Object.keys(details).length > 0;
+
+// Ключ книги, одинаковый на разных устройствах (id у каждой базы свой)
+export const bookKey = (b) => `${b.title}|${b.author || ""}|${b.wordCount || 0}`;
+
+/* ---------- Миграции ---------- */
+
+// v1 → v2: words/toc/сноски уезжают из books в contents
+// (обложка и аннотация — сразу в details: хранилище создаёт migrateV9 в том же обновлении)
+function migrateV2(tx) {
+  const contents = tx.db.createObjectStore(STORES.CONTENTS, { keyPath: "id" });
+  const cursorReq = tx.objectStore(STORES.BOOKS).openCursor();
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (!cursor) return;
+    const { meta, content, details } = splitBook(cursor.value);
+    contents.put({ ...content, id: meta.id });
+    if (hasDetails(details)) tx.objectStore(STORES.DETAILS).put({ ...details, id: meta.id });
+    cursor.update(meta);
+    cursor.continue();
+  };
+}
+
+// v2 → v3: закладки и выделения
+function migrateV3(tx) {
+  const store = tx.db.createObjectStore(STORES.ANNOTATIONS, { keyPath: "id", autoIncrement: true });
+  store.createIndex("bookId", "bookId");
+}
+
+// v3 → v4: история сессий чтения
+function migrateV4(tx) {
+  const store = tx.db.createObjectStore(STORES.SESSIONS, { keyPath: "id", autoIncrement: true });
+  store.createIndex("bookId", "bookId");
+}
+
+// v4 → v5: оценки скорости чтения
+function migrateV5(tx) {
+  tx.db.createObjectStore(STORES.ASSESSMENTS, { keyPath: "id", autoIncrement: true });
+}
+
+// v5 → v6: программы и итоги тренировок «Угол зрения»
+function migrateV6(tx) {
+  tx.db.createObjectStore(STORES.TRAINING_PROGRAMS, { keyPath: "id", autoIncrement: true });
+  tx.db.createObjectStore(STORES.TRAINING_SESSIONS, { keyPath: "id", autoIncrement: true });
+}
+
+// v6 → v7: история упражнений
+function migrateV7(tx) {
+  tx.db.createObjectStore(STORES.EXERCISES, { keyPath: "id", autoIncrement: true });
+}
+
+// v7 → v8: флаги токенов (предложения, абзацы) для уже импортированных книг
+function migrateV8(tx) {
+  const cursorReq = tx.objectStore(STORES.CONTENTS).openCursor();
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (!cursor) return;
+    const content = cursor.value;
+    if (content.words && !content.marks) {
+      cursor.update({ ...content, marks: deriveMarks(content.words, content.toc) });
+    }
+    cursor.continue();
+  };
+}
+
+// v8 → v9: обложка и аннотация уезжают из books в details.
+// Из v1 их уже перенесла migrateV2 — второй курсор по books не нужен
+function migrateV9(tx, oldVersion) {
+  const details = tx.db.createObjectStore(STORES.DETAILS, { keyPath: "id" });
+  if (oldVersion < 2) return;
+  const cursorReq = tx.objectStore(STORES.BOOKS).openCursor();
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (!cursor) return;
+    const book = cursor.value;
+    if (DETAIL_FIELDS.some((f) => f in book)) {
+      const { meta, details: fields } = splitBook(book);
+      if (hasDetails(fields)) details.put({ ...fields, id: meta.id });
+      cursor.update(meta);
+    }
+    cursor.continue();
+  };
+}
+
+let dbPromise = null;
+
+const getDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      req.onerror = () => reject(req.error || new Error("IndexedDB error"));
+      // другая вкладка держит соединение со старой версией — open будет ждать её
+      // без конца; не молчим, а сообщаем (следующий вызов getDB попробует снова)
+      req.onblocked = () => {
+        blocked = true;
+        dbPromise = null;
+        reject(new Error("Приложение открыто в другой вкладке в старой версии. Закройте её и обновите страницу."));
+      };
+      req.onsuccess = () => {
+        const inst = req.result;
+        if (blocked) {
+          inst.close();
+          return;
+        }
+        // новая версия в другой вкладке: уступаем ей базу, а не блокируем обновление
+        inst.onversionchange = () => {
+          inst.close();
+          dbPromise = null;
+        };
+        resolve(inst);
+      };
+      req.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        const tx = e.target.transaction;
+        if (!db.objectStoreNames.contains(STORES.BOOKS)) {
+          db.createObjectStore(STORES.BOOKS, { keyPath: "id", autoIncrement: true });
+        }
+        if (e.oldVersion < 2) migrateV2(tx);
+        if (e.oldVersion < 3) migrateV3(tx);
+        if (e.oldVersion < 4) migrateV4(tx);
+        if (e.oldVersion < 5) migrateV5(tx);
+        if (e.oldVersion < 6) migrateV6(tx);
+        if (e.oldVersion < 7) migrateV7(tx);
+        if (e.oldVersion < 8) migrateV8(tx);
+        if (e.oldVersion < 9) migrateV9(tx, e.oldVersion);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+export const db = {
+  async getAll(store) {
+    const inst = await getDB();
+    return new Promise((res, rej) => {
+      const tx = inst.transaction(store, "readonly");
+      const r = tx.objectStore(store).getAll();
+      r.onsuccess = () => res(r.result || []);
+      r.onerror = () => rej(r.error);
+    });
+  },
+  async getAllByIndex(store, index, key) {
+    const inst = await getDB();
+    return new Promise((res, rej) => {
+      const tx = inst.transaction(store, "readonly");
+      const r = tx.objectStore(store).index(index).getAll(key);
+      r.onsuccess = () => res(r.result || []);
+      r.onerror = () => rej(r.error);
+    });
+  },
+  async get(store, key) {
+    const inst = await getDB();
+    return new Promise((res, rej) => {
+      const tx = inst.transaction(store, "readonly");
+      const r = tx.objectStore(store).get(key);
+      r.onsuccess = () => res(r.result);
+      r.onerror = () => rej(r.error);
+    });
+  },
+  async put(store, val) {
+    const inst = await getDB();
+    return new Promise((res, rej) => {
+      const tx = inst.transaction(store, "readwrite");
+      const r = tx.objectStore(store).put(val);
+      r.onsuccess = () => res(r.result);
+      r.onerror = () => rej(r.error);
+    });
+  },
+  // частичное обновление записи (get + put в одной транзакции); вернёт новую запись
+  async update(store, key, patch) {
+    const inst = await getDB();
+    return new Promise((res, rej) => {
+      const tx = inst.transaction(store, "readwrite");
+      const os = tx.objectStore(store);
+      const r = os.get(key);
+      let next;
+      r.onsuccess = () => {
+        if (!r.result) return rej(new Error("Запись не найдена"));
+        next = { ...r.result, ...patch };
+        os.put(next);
+      };
+      tx.oncomplete = () => res(next);
+      tx.onerror = () => rej(tx.error);
+    });
+  },
+  async delete(store, key) {
+    const inst = await getDB();
+    return new Promise((res, rej) => {
+      const tx = inst.transaction(store, "readwrite");
+      const r = tx.objectStore(store).delete(key);
+      r.onsuccess = () => res();
+      r.onerror = () => rej(r.error);
+    });
+  },
+};
+
+/* ---------- Книги: метаданные + содержимое одной транзакцией ---------- */
+
+// Сохраняет новую книгу (полную запись), возвращает id
+export async function addBook(book) {
+  const inst = await getDB();
+  const { meta, content, details } = splitBook(book);
+  return new Promise((res, rej) => {
+    const tx = inst.transaction([STORES.BOOKS, STORES.CONTENTS, STORES.DETAILS], "readwrite");
+    let id;
+    const r = tx.objectStore(STORES.BOOKS).add(meta);
+    r.onsuccess = () => {
+      id = r.result;
+      tx.objectStore(STORES.CONTENTS).put({ ...content, id });
+      if (hasDetails(details)) tx.objectStore(STORES.DETAILS).put({ ...details, id });
+    };
+    tx.oncomplete = () => res(id);
+    tx.onerror = () => rej(tx.error);
+  });
+}
+
+// Удаляет книгу вместе с содержимым и всем, что к ней привязано (закладки…).
+// Сессии чтения остаются — это история, у них есть название книги.
+export async function deleteBook(id) {
+  const inst = await getDB();
+  return new Promise((res, rej) => {
+    const tx = inst.transaction([STORES.BOOKS, STORES.CONTENTS, STORES.DETAILS, STORES.ANNOTATIONS], "readwrite");
+    tx.objectStore(STORES.BOOKS).delete(id);
+    tx.objectStore(STORES.CONTENTS).delete(id);
+    tx.objectStore(STORES.DETAILS).delete(id);
+    const cursorReq = tx.objectStore(STORES.ANNOTATIONS).index("bookId").openCursor(id);
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    tx.oncomplete = () => res();
+    tx.onerror = () => rej(tx.error);
+  });
+}
@@ -0,0 +1,86 @@
+/* =============================
+   Тренировки с маскировкой текста
+   Работают по словам показанного фрагмента; пунктуация не трогается.
+============================= */
+
+export const MASK_CHAR = "_";
+
+export const DEFAULT_DRILLS = {
+  hideVowels: false,  // без гласных (рус. и лат.)
+  hideEndings: false, // без окончаний
+  firstLast: false,   // только первая и последняя буквы
+  randomMask: false,  // случайные буквы
+  maskRate: 0.2,      // доля букв для randomMask
+};
+
+// Порядок и подписи кнопок в ридере
+export const DRILL_TOGGLES = [
+  { key: "hideVowels", label: "Без гласных", title: "Скрыть гласные (русские и латинские)" },
+  { key: "hideEndings", label: "Без окончаний", title: "Скрыть окончания слов" },
+  { key: "firstLast", label: "Края слов", title: "Оставить только первую и последнюю буквы" },
+  { key: "randomMask", label: "Случайные", title: "Скрыть случайные буквы" },
+];
+
+export const MASK_RATE_MIN = 0.05;
+export const MASK_RATE_MAX = 0.8;
+export const MASK_RATE_STEP = 0.05;
+
+const VOWELS = new Set("аеёиоуыэюяaeiouy");
+const isLetter = (c) => /\p{L}/u.test(c);
+
+// детерминированный ГПСЧ: одно и то же слово в той же позиции маскируется одинаково
+function seededRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// маскирует буквы слова, для которых hide(номер буквы, буква, всего букв) === true
+function maskLetters(word, hide) {
+  const chars = Array.from(word);
+  const total = chars.filter(isLetter).length;
+  let n = -1;
+  return chars
+    .map((c) => {
+      if (!isLetter(c)) return c;
+      n++;
+      return hide(n, c, total) ? MASK_CHAR : c;
+    })
+    .join("");
+}
+
+function maskWord(word, drills, rand) {
+  let out = word;
+  if (drills.hideVowels) {
+    out = maskLetters(out, (_, c) => VOWELS.has(c.toLowerCase()));
+  }
+  if (drills.hideEndings) {
+    // у слов от 4 букв прячем последнюю треть (1–3 буквы)
+    out = maskLetters(out, (i, _, total) => total >= 4 && i >= total - Math.min(3, Math.floor(total / 3)));
+  }
+  if (drills.firstLast) {
+    out = maskLetters(out, (i, _, total) => i > 0 && i < total - 1);
+  }
+  if (drills.randomMask) {
+    out = maskLetters(out, () => rand() < drills.maskRate);
+  }
+  return out;
+}
+
+export const hasActiveDrill = (drills) => DRILL_TOGGLES.some(({ key }) => drills[key]);
+
+/**
+ * Применяет включённые тренировки к фрагменту текста.
+ * position — индекс первого слова фрагмента (зерно для случайной маски).
+ */
+export function applyDrills(text, drills, position = 0) {
+  if (!text || !hasActiveDrill(drills)) return text;
+  return text
+    .split(" ")
+    .map((word, i) => maskWord(word, drills, seededRandom((position + i) * 2654435761)))
+    .join(" ");
+}
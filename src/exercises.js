@@ -0,0 +1,95 @@
+/* =============================
+   Упражнения для разминки: таблицы Шульте и слова-вспышки
+============================= */
+
+/* ---------- Таблицы Шульте ---------- */
+
+export const SCHULTE_SIZES = [3, 4, 5, 6, 7];
+
+// без Ё, Й, Ъ, Ы, Ь — их легко спутать или не с чего начать поиск
+const SCHULTE_LETTERS = Array.from("АБВГДЕЖЗИКЛМНОПРСТУФХЦЧШЩЭЮЯ");
+
+export const SCHULTE_SYMBOLS = [
+  { value: "digits", label: "Цифры" },
+  { value: "letters", label: "Буквы" },
+];
+
+export const DEFAULT_SCHULTE = { size: 5, symbols: "digits" };
+
+// букв хватает на таблицу до 5×5
+export const maxSchulteSize = (symbols) =>
+  symbols === "letters" ? Math.floor(Math.sqrt(SCHULTE_LETTERS.length)) : SCHULTE_SIZES[SCHULTE_SIZES.length - 1];
+
+// порядок, в котором нужно находить клетки
+export function schulteSequence(size, symbols) {
+  const n = size * size;
+  return symbols === "letters"
+    ? SCHULTE_LETTERS.slice(0, n)
+    : Array.from({ length: n }, (_, i) => String(i + 1));
+}
+
+// та же последовательность, перемешанная по клеткам (слева направо, сверху вниз)
+export function createSchulteTable(size, symbols, rand = Math.random) {
+  const cells = schulteSequence(size, symbols);
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+  return cells;
+}
+
+/* ---------- Слова-вспышки ---------- */
+
+export const DEFAULT_FLASH = {
+  durationMs: 150, // сколько слово видно
+  maxOffset: 250,  // px — насколько далеко от центра может появиться
+  rounds: 20,
+};
+
+export const FLASH_FIELDS = [
+  { key: "durationMs", label: "Показ, мс", min: 30, max: 1000, step: 10 },
+  { key: "maxOffset", label: "Смещение до, px", min: 0, max: 600, step: 10 },
+  { key: "rounds", label: "Раундов", min: 5, max: 100, step: 5 },
+];
+
+// пауза с точкой фиксации перед каждым словом
+export const FLASH_FIXATION_MS = 700;
+
+// частые слова средней длины — их узнают, а не дочитывают
+const FLASH_WORDS = [
+  "дорога", "письмо", "окно", "город", "река", "ветер", "книга", "солнце", "песок", "берег",
+  "лампа", "дверь", "музыка", "зима", "облако", "камень", "птица", "дерево", "стол",
+  "улица", "вечер", "утро", "поезд", "море", "трава", "снег", "бумага", "ключ", "мост",
+  "работа", "голос", "огонь", "вода", "небо", "лес", "поле", "рука", "друг", "время",
+  "карта", "звезда", "сад", "крыша", "платье", "чашка", "ложка", "стена", "земля", "гора",
+  "остров", "пламя", "тропа", "ручей", "сосна", "вокзал", "рынок", "станция", "площадь", "фонарь",
+];
+
+// случайное слово, не совпадающее с предыдущим
+export function pickFlashWord(prev, rand = Math.random) {
+  let word;
+  do {
+    word = FLASH_WORDS[Math.floor(rand() * FLASH_WORDS.length)];
+  } while (word === prev && FLASH_WORDS.length > 1);
+  return word;
+}
+
+// случайная точка в круге радиуса maxOffset (равномерно по площади)
+export function flashOffset(maxOffset, rand = Math.random) {
+  const angle = rand() * 2 * Math.PI;
+  const r = maxOffset * Math.sqrt(rand());
+  return { x: Math.round(r * Math.cos(angle)), y: Math.round(r * Math.sin(angle)) };
+}
+
+/* ---------- История ---------- */
+
+// лучший результат Шульте для каждой пары «размер + символы»: { "5-digits": мс }
+export function schulteBests(history) {
+  const bests = {};
+  for (const h of history) {
+    if (h.type !== "schulte") continue;
+    const k = `${h.size}-${h.symbols}`;
+    if (bests[k] == null || h.durationMs < bests[k]) bests[k] = h.durationMs;
+  }
+  return bests;
+}
@@ -0,0 +1,74 @@
+/* =============================
+   Жесты на области чтения (телефон, планшет)
+   Каждому жесту назначается команда из keymap.js — те же действия,
+   что у клавиш и кнопок, в обычном режиме и в «Угол зрения».
+   Настройки — в localStorage, как и клавиши (у каждого устройства свои).
+============================= */
+
+export const GESTURES_STORAGE_KEY = "speedreader-gestures";
+
+export const GESTURES = [
+  { key: "tapLeft", label: "Касание слева" },
+  { key: "tapCenter", label: "Касание по центру" },
+  { key: "tapRight", label: "Касание справа" },
+  { key: "swipeUp", label: "Проведение вверх" },
+  { key: "swipeDown", label: "Проведение вниз" },
+  { key: "longPress", label: "Долгое нажатие" },
+];
+
+export const EDGE_WIDTHS = [
+  { value: 0.2, label: "20%" },
+  { value: 0.25, label: "25%" },
+  { value: 0.33, label: "33%" },
+];
+
+// значения жестов — id команд ("" — ничего)
+export const DEFAULT_GESTURES = {
+  enabled: true,
+  edgeWidth: 0.25, // доля ширины под левую и правую зоны
+  tapLeft: "prev",
+  tapCenter: "togglePlay",
+  tapRight: "next",
+  swipeUp: "wpmUp",
+  swipeDown: "wpmDown",
+  longPress: "showContext",
+};
+
+export const LONG_PRESS_MS = 500;
+export const TAP_SLOP_PX = 10;     // дальше — уже не касание, а проведение
+export const SWIPE_STEP_PX = 40;   // одно срабатывание на каждые 40 px проведения
+
+export function loadGestures() {
+  try {
+    return normalizeGestures(JSON.parse(localStorage.getItem(GESTURES_STORAGE_KEY) || "{}"));
+  } catch {
+    return { ...DEFAULT_GESTURES };
+  }
+}
+
+// сохранённые жесты (localStorage, резервная копия) поверх умолчаний — только известные поля
+export function normalizeGestures(saved) {
+  const out = { ...DEFAULT_GESTURES };
+  for (const k of Object.keys(DEFAULT_GESTURES)) {
+    if (typeof saved?.[k] === typeof DEFAULT_GESTURES[k]) out[k] = saved[k];
+  }
+  return out;
+}
+
+export function saveGestures(gestures) {
+  try {
+    localStorage.setItem(GESTURES_STORAGE_KEY, JSON.stringify(gestures));
+  } catch (e) {
+    console.error("Не удалось сохранить жесты:", e);
+  }
+}
+
+// зона касания по x внутри области шириной width
+export function tapZone(x, width, edgeWidth) {
+  if (x < width * edgeWidth) return "tapLeft";
+  if (x > width * (1 - edgeWidth)) return "tapRight";
+  return "tapCenter";
+}
+
+// сколько шагов набрано проведением на dy px (вверх — положительные)
+export const swipeSteps = (dy) => Math.trunc(dy / SWIPE_STEP_PX);
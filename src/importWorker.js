@@ -0,0 +1,74 @@
+/* =============================
+   Web Worker импорта книг
+   Протокол (UI → воркер):
+     { cmd: "open", file }      — начать импорт файла (FB2/EPUB/ZIP/RAR)
+     { cmd: "import", names }   — какие книги взять из архива (после "entries")
+   Воркер → UI:
+     { type: "entries", entries }                         — в архиве несколько книг, нужен выбор
+     { type: "progress", stage, name, index, total }      — unpack | decode | parse | tokenize | save
+     { type: "result", name, ok, id?, title?, error? }    — итог по одному файлу
+     { type: "done" } / { type: "error", error }
+   Отмена — terminate() со стороны UI.
+============================= */
+import { addBook } from "./db";
+import { ARCHIVE_FILE_RE, openArchive, buildBook } from "./bookImport";
+
+let pendingArchive = null; // открытый архив, ждём выбор книг
+
+const post = (msg) => self.postMessage(msg);
+
+// одна книга: распаковка → decode/parse/tokenize → сохранение
+async function importOne(name, load, index, total) {
+  const progress = (stage) => post({ type: "progress", stage, name, index, total });
+  try {
+    progress("unpack");
+    const arrayBuffer = await load();
+    const book = await buildBook(name, arrayBuffer, progress);
+    progress("save");
+    const id = await addBook(book);
+    post({ type: "result", name, ok: true, id, title: book.title });
+  } catch (e) {
+    console.error(e);
+    post({ type: "result", name, ok: false, error: e.message });
+  }
+}
+
+async function importFromArchive(archive, names) {
+  for (let i = 0; i < names.length; i++) {
+    await importOne(names[i], () => archive.extract(names[i]), i, names.length);
+  }
+  post({ type: "done" });
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+  try {
+    if (msg.cmd === "open") {
+      const { file } = msg;
+      if (!ARCHIVE_FILE_RE.test(file.name)) {
+        await importOne(file.name, () => file.arrayBuffer(), 0, 1);
+        post({ type: "done" });
+        return;
+      }
+
+      post({ type: "progress", stage: "unpack", name: file.name, index: 0, total: 1 });
+      const archive = await openArchive(file.name, await file.arrayBuffer());
+      if (!archive.entries.length) throw new Error("Архив не содержит книг (.fb2, .epub)");
+      if (archive.entries.length > 1) {
+        // несколько книг — пусть пользователь выберет
+        pendingArchive = archive;
+        post({ type: "entries", entries: archive.entries });
+        return;
+      }
+      await importFromArchive(archive, archive.entries);
+    } else if (msg.cmd === "import") {
+      if (!pendingArchive) throw new Error("Архив не открыт");
+      const archive = pendingArchive;
+      pendingArchive = null;
+      await importFromArchive(archive, msg.names || []);
+    }
+  } catch (err) {
+    console.error(err);
+    post({ type: "error", error: err.message });
+  }
+};
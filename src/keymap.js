@@ -0,0 +1,156 @@
+/* =============================
+   Клавиши ридера: список команд и назначения
+   Сочетание — строка из модификаторов и KeyboardEvent.code:
+   "Space", "KeyF", "Shift+Slash". По code, а не по key — чтобы
+   назначения не зависели от раскладки (русская/латинская).
+   Свои назначения — в localStorage поверх назначений по умолчанию.
+============================= */
+import { DRILL_TOGGLES } from "./drills";
+
+export const KEYMAP_STORAGE_KEY = "speedreader-keymap";
+
+export const COMMAND_GROUPS = [
+  { value: "playback", label: "Чтение" },
+  { value: "navigation", label: "Переход" },
+  { value: "view", label: "Вид" },
+  { value: "modes", label: "Режимы" },
+  { value: "panels", label: "Панели" },
+];
+
+// Все действия ридера; keys — назначения по умолчанию (может быть пусто)
+export const COMMANDS = [
+  { id: "togglePlay", group: "playback", label: "Старт / пауза", keys: ["Space"] },
+  { id: "wpmUp", group: "playback", label: "Быстрее (WPM +)", keys: ["ArrowUp"] },
+  { id: "wpmDown", group: "playback", label: "Медленнее (WPM –)", keys: ["ArrowDown"] },
+
+  { id: "next", group: "navigation", label: "Вперёд на фрагмент / пару", keys: ["ArrowRight"] },
+  { id: "prev", group: "navigation", label: "Назад на фрагмент / пару", keys: ["ArrowLeft"] },
+  { id: "nextSentence", group: "navigation", label: "Следующее предложение", keys: ["Shift+ArrowRight"] },
+  { id: "prevSentence", group: "navigation", label: "Предыдущее предложение", keys: ["Shift+ArrowLeft"] },
+  { id: "nextParagraph", group: "navigation", label: "Следующий абзац", keys: ["Shift+ArrowDown"] },
+  { id: "prevParagraph", group: "navigation", label: "Предыдущий абзац", keys: ["Shift+ArrowUp"] },
+  { id: "nextChapter", group: "navigation", label: "Следующая глава", keys: ["PageDown"] },
+  { id: "prevChapter", group: "navigation", label: "Предыдущая глава", keys: ["PageUp"] },
+  { id: "bookmark", group: "navigation", label: "Закладка", keys: ["KeyK"] },
+  { id: "highlight", group: "navigation", label: "Начать / закончить выделение", keys: ["KeyL"] },
+  { id: "back", group: "navigation", label: "Вернуться в библиотеку", keys: ["Escape"] },
+
+  { id: "fontUp", group: "view", label: "Крупнее шрифт", keys: ["Equal"] },
+  { id: "fontDown", group: "view", label: "Мельче шрифт", keys: ["Minus"] },
+  { id: "charsUp", group: "view", label: "Больше символов", keys: ["BracketRight"] },
+  { id: "charsDown", group: "view", label: "Меньше символов", keys: ["BracketLeft"] },
+  { id: "gapUp", group: "view", label: "Шире «Угол зрения»", keys: ["Period"] },
+  { id: "gapDown", group: "view", label: "Уже «Угол зрения»", keys: ["Comma"] },
+  { id: "toggleBold", group: "view", label: "Жирный", keys: ["KeyB"] },
+  { id: "toggleUpsideDown", group: "view", label: "Вверх ногами", keys: ["KeyU"] },
+  { id: "toggleHalf", group: "view", label: "Полтекста", keys: ["KeyH"] },
+  { id: "toggleGuide", group: "view", label: "Ориентир", keys: ["KeyG"] },
+  { id: "toggleTheme", group: "view", label: "День / ночь", keys: ["KeyD"] },
+  { id: "toggleFullscreen", group: "view", label: "Во весь экран", keys: ["KeyF"] },
+  { id: "toggleCompact", group: "view", label: "Скрыть / показать меню", keys: ["KeyM"] },
+
+  { id: "toggleSingleWord", group: "modes", label: "Одно слово", keys: ["KeyW"] },
+  { id: "toggleAngle", group: "modes", label: "Угол зрения", keys: ["KeyA"] },
+  { id: "toggleTraining", group: "modes", label: "Тренировка", keys: ["KeyT"] },
+  { id: "toggleComprehension", group: "modes", label: "Проверка понимания", keys: ["KeyQ"] },
+  ...DRILL_TOGGLES.map(({ key, label }) => ({ id: `drill:${key}`, group: "modes", label, keys: [] })),
+
+  { id: "showContext", group: "panels", label: "Текст вокруг", keys: ["KeyV"] },
+  { id: "toggleToc", group: "panels", label: "Оглавление", keys: ["KeyC"] },
+  { id: "toggleSearch", group: "panels", label: "Поиск", keys: ["KeyS"] },
+  { id: "toggleAnnotations", group: "panels", label: "Заметки", keys: ["KeyN"] },
+  { id: "toggleTiming", group: "panels", label: "Темп", keys: ["KeyP"] },
+  { id: "toggleSettings", group: "panels", label: "Настройки", keys: ["KeyO"] },
+  { id: "toggleProgramEditor", group: "panels", label: "Программа тренировки", keys: [] },
+  { id: "help", group: "panels", label: "Список клавиш", keys: ["Shift+Slash"] },
+];
+
+export const DEFAULT_KEYMAP = Object.fromEntries(COMMANDS.map((c) => [c.id, c.keys]));
+
+/* ---------- Сочетания ---------- */
+
+const MODIFIER_CODES = new Set(["ShiftLeft", "ShiftRight", "ControlLeft", "ControlRight", "AltLeft", "AltRight", "MetaLeft", "MetaRight"]);
+
+// сочетание нажатой клавиши; null — нажат только модификатор
+export function eventToCombo(e) {
+  if (!e.code || MODIFIER_CODES.has(e.code)) return null;
+  const mods = [e.ctrlKey && "Ctrl", e.altKey && "Alt", e.metaKey && "Meta", e.shiftKey && "Shift"].filter(Boolean);
+  return [...mods, e.code].join("+");
+}
+
+const CODE_LABELS = {
+  Space: "Пробел",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Escape: "Esc",
+  Equal: "=",
+  Minus: "-",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Backslash: "\\",
+  Semicolon: ";",
+  Quote: "'",
+  Backquote: "`",
+};
+
+// «Shift+Slash» → «?», «KeyF» → «F»
+export function comboLabel(combo) {
+  if (combo === "Shift+Slash") return "?";
+  return combo
+    .split("+")
+    .map((part) => CODE_LABELS[part] || part.replace(/^Key|^Digit|^Numpad/, ""))
+    .join("+");
+}
+
+/* ---------- Назначения: { [id команды]: [сочетания] } ---------- */
+
+export function loadKeymap() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || "{}");
+  } catch {
+    saved = {};
+  }
+  return normalizeKeymap(saved);
+}
+
+// назначения из сохранённых (localStorage, резервная копия) поверх умолчаний;
+// неизвестные команды и не-строки отбрасываются
+export function normalizeKeymap(saved) {
+  const keymap = { ...DEFAULT_KEYMAP };
+  for (const { id } of COMMANDS) {
+    if (Array.isArray(saved?.[id])) keymap[id] = saved[id].filter((k) => typeof k === "string");
+  }
+  return keymap;
+}
+
+// храним только отличия от умолчаний — новые команды получат свои клавиши
+export function saveKeymap(keymap) {
+  const changed = Object.fromEntries(
+    Object.entries(keymap).filter(([id, keys]) => keys.join() !== (DEFAULT_KEYMAP[id] || []).join())
+  );
+  try {
+    localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(changed));
+  } catch (e) {
+    console.error("Не удалось сохранить клавиши:", e);
+  }
+}
+
+// команда, на которую назначено сочетание
+export const commandForCombo = (keymap, combo) =>
+  COMMANDS.find(({ id }) => keymap[id]?.includes(combo))?.id || null;
+
+// назначить сочетание команде (у другой команды оно снимается)
+export function bindKey(keymap, id, combo) {
+  const next = {};
+  for (const [cmd, keys] of Object.entries(keymap)) next[cmd] = keys.filter((k) => k !== combo);
+  next[id] = [...next[id], combo];
+  return next;
+}
+
+export const unbindKey = (keymap, id, combo) => ({ ...keymap, [id]: keymap[id].filter((k) => k !== combo) });
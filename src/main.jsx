@@ -5,6 +5,15 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
+// офлайн-режим и установка как приложение (в dev-сервере не нужен)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch((e) => console.error('Не удалось зарегистрировать service worker:', e))
+  })
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
@@ -0,0 +1,78 @@
+/* =============================
+   Поиск по тексту книги (по массиву words)
+   Без учёта регистра и ё/е. Слова фразы должны совпасть целиком, кроме
+   последнего — оно сравнивается с началом слова текста (поиск по мере
+   набора), поэтому «пьер» найдёт и «Пьера», и «Пьеру».
+============================= */
+import { isSentenceEnd } from "./tokens";
+
+export const SEARCH_RESULTS_LIMIT = 500;
+const SNIPPET_WORDS = 6;
+const CONTEXT_WORDS = 40;
+
+// слово → форма для сравнения: нижний регистр, ё → е, без пунктуации по краям
+export function normalizeWord(word) {
+  return word
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+}
+
+// нормализованные слова книги — считаем один раз на книгу
+export const buildSearchIndex = (words) => words.map(normalizeWord);
+
+/**
+ * Ищет фразу query. Вернёт [{ index, before, match, after, percent }],
+ * index — первое слово совпадения.
+ */
+export function searchWords(words, index, query, limit = SEARCH_RESULTS_LIMIT) {
+  const terms = query.split(/\s+/).map(normalizeWord).filter(Boolean);
+  if (!terms.length) return [];
+
+  const results = [];
+  const last = index.length - terms.length;
+  for (let i = 0; i <= last && results.length < limit; i++) {
+    let ok = true;
+    for (let k = 0; k < terms.length; k++) {
+      const word = index[i + k];
+      if (k === terms.length - 1 ? !word.startsWith(terms[k]) : word !== terms[k]) {
+        ok = false;
+        break;
+      }
+    }
+    if (!ok) continue;
+    const end = i + terms.length;
+    results.push({
+      index: i,
+      before: words.slice(Math.max(0, i - SNIPPET_WORDS), i).join(" "),
+      match: words.slice(i, end).join(" "),
+      after: words.slice(end, end + SNIPPET_WORDS).join(" "),
+      percent: ((i / words.length) * 100).toFixed(1),
+    });
+    i = end - 1; // совпадения не перекрываются
+  }
+  return results;
+}
+
+/**
+ * Текст вокруг показанного фрагмента [start, end) — около radius слов
+ * с каждой стороны, обрезанных по границам предложений (если они есть).
+ * Вернёт { before, match, after }.
+ */
+export function contextAround(words, start, end, radius = CONTEXT_WORDS) {
+  const min = Math.max(0, start - radius);
+  let from = min;
+  while (from < start && from > 0 && !isSentenceEnd(words[from - 1])) from++;
+  if (from === start) from = min; // предложение длиннее radius — берём как есть
+
+  const max = Math.min(words.length, end + radius);
+  let to = max;
+  while (to > end && to < words.length && !isSentenceEnd(words[to - 1])) to--;
+  if (to === end) to = max;
+
+  return {
+    before: words.slice(from, start).join(" "),
+    match: words.slice(start, end).join(" "),
+    after: words.slice(end, to).join(" "),
+  };
+}
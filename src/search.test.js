@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { buildSearchIndex, searchWords } from "./search";
+
+const find = (text, query) => {
+  const words = text.split(" ");
+  return searchWords(words, buildSearchIndex(words), query).map((r) => r.match);
+};
+
+describe("searchWords", () => {
+  it("последнее слово запроса — начало слова текста", () => {
+    expect(find("Пьер и Пьера, и Пьеру", "пьер")).toEqual(["Пьер", "Пьера,", "Пьеру"]);
+  });
+
+  it("остальные слова фразы совпадают целиком", () => {
+    const text = "в саду он сидел, в садике она стояла, во саду никого";
+    expect(find(text, "в сад")).toEqual(["в саду", "в садике"]);
+    expect(find(text, "в саду")).toEqual(["в саду"]);
+    // «в» — не начало «во»
+    expect(find(text, "в са").length).toBe(2);
+  });
+
+  it("без учёта регистра, ё/е и пунктуации", () => {
+    expect(find("«Ёлка» зелёная.", "елка зеле")).toEqual(["«Ёлка» зелёная."]);
+  });
+});
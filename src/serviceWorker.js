@@ -0,0 +1,42 @@
+/* =============================
+   Service worker: приложение целиком работает офлайн
+   При сборке (плагин в vite.config.js) строка BUILD заменяется на версию и
+   список всех файлов сборки — воркер импорта, jszip, unrar.wasm и т. д.
+   Всё это кладётся в кэш при установке, даже то, что грузится лениво.
+============================= */
+const BUILD = { version: "dev", base: "/", files: [] };
+
+const CACHE = `speedreader-${BUILD.version}`;
+const INDEX = `${BUILD.base}index.html`;
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(BUILD.files))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// старые версии кэша больше не нужны
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("speedreader-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (e) => {
+  const { request } = e;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  // страница — из сети, чтобы подхватить новую версию; без сети — из кэша
+  if (request.mode === "navigate") {
+    e.respondWith(fetch(request).catch(() => caches.match(INDEX)));
+    return;
+  }
+  // остальное в сборке с хешами в именах — кэш не устаревает
+  e.respondWith(caches.match(request).then((hit) => hit || fetch(request)));
+});
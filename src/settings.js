@@ -0,0 +1,133 @@
+/* =============================
+   Настройки ридера: глобальные, свои у книги, именованные пресеты
+   Глобальные настройки и пресеты — в localStorage (нужны синхронно при старте),
+   настройки книги — поле settings её записи в STORES.BOOKS.
+============================= */
+import { DEFAULT_TIMING, TIMING_FIELDS } from "./timing";
+import { DEFAULT_COMPREHENSION, COMPREHENSION_INTERVALS } from "./comprehension";
+
+export const DEFAULT_SETTINGS = {
+  wpm: 300,
+  charLimit: 25,
+  fontSize: 48,
+  isBold: false,
+  isUpsideDown: false,
+  halfVisible: false,
+  isDark: true,
+  pairGap: 500,       // px, «Угол зрения»
+  isAngleMode: false,
+  chunkMode: "chars", // см. CHUNK_MODES в chunking.js
+  ...DEFAULT_TIMING,   // коэффициенты темпа, см. timing.js
+  comprehensionEnabled: DEFAULT_COMPREHENSION.enabled,
+  comprehensionInterval: DEFAULT_COMPREHENSION.interval, // число слов или "chapter"
+};
+
+// Пределы и шаг «–/+» — общие для кнопок и клавиш
+export const SETTING_LIMITS = {
+  wpm: { min: 60, max: 1200, step: 10 },
+  charLimit: { min: 10, max: 100, step: 5 },
+  fontSize: { min: 12, max: 120, step: 2 },
+  pairGap: { min: 0, max: 1200, step: 10 },
+  ...Object.fromEntries(TIMING_FIELDS.map(({ key, min, max, step }) => [key, { min, max, step }])),
+};
+
+// значение на шаг больше (dir = 1) или меньше (dir = -1), не выходя за пределы
+export function stepSetting(key, value, dir) {
+  const { min, max, step } = SETTING_LIMITS[key];
+  return Math.max(min, Math.min(max, value + dir * step));
+}
+
+// ближайшее значение, которое можно выставить «–/+» (кратное шагу, в пределах)
+export function roundSetting(key, value) {
+  const { min, max, step } = SETTING_LIMITS[key];
+  return Math.max(min, Math.min(max, Math.round(value / step) * step));
+}
+
+// Что можно переопределить для книги и сохранить в пресет (тема — общая для приложения)
+export const READER_SETTING_KEYS = Object.keys(DEFAULT_SETTINGS).filter((k) => k !== "isDark");
+
+export const SETTINGS_STORAGE_KEY = "speedreader-settings";
+export const PRESETS_STORAGE_KEY = "speedreader-presets";
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.error("Не удалось сохранить настройки:", e);
+  }
+}
+
+// Настройки с выбором из списка (тип значения может отличаться от умолчания)
+const SETTING_CHOICES = {
+  comprehensionInterval: COMPREHENSION_INTERVALS.map((i) => i.value),
+};
+
+// только известные ключи с тем же типом, что у умолчаний; числа — в пределах SETTING_LIMITS
+function sanitize(settings, keys) {
+  const out = {};
+  for (const k of keys) {
+    if (!settings) continue;
+    if (SETTING_CHOICES[k]) {
+      if (SETTING_CHOICES[k].includes(settings[k])) out[k] = settings[k];
+      continue;
+    }
+    if (typeof settings[k] !== typeof DEFAULT_SETTINGS[k]) continue;
+    const limits = SETTING_LIMITS[k];
+    if (limits && !Number.isFinite(settings[k])) continue;
+    out[k] = limits ? Math.max(limits.min, Math.min(limits.max, settings[k])) : settings[k];
+  }
+  return out;
+}
+
+// коэффициенты темпа из плоских настроек — для движка (createTimingEngine)
+export const pickTiming = (settings) =>
+  Object.fromEntries(Object.keys(DEFAULT_TIMING).map((k) => [k, settings[k] ?? DEFAULT_TIMING[k]]));
+
+// проверка понимания из плоских настроек — { enabled, interval }, как DEFAULT_COMPREHENSION
+export const pickComprehension = (settings) => ({
+  enabled: settings.comprehensionEnabled ?? DEFAULT_COMPREHENSION.enabled,
+  interval: settings.comprehensionInterval ?? DEFAULT_COMPREHENSION.interval,
+});
+
+export const loadSettings = () => ({
+  ...DEFAULT_SETTINGS,
+  ...sanitize(readJson(SETTINGS_STORAGE_KEY, {}), Object.keys(DEFAULT_SETTINGS)),
+});
+
+export const saveSettings = (settings) =>
+  writeJson(SETTINGS_STORAGE_KEY, sanitize(settings, Object.keys(DEFAULT_SETTINGS)));
+
+// настройки чтения без темы — для книги и пресетов
+export const pickReaderSettings = (settings) => sanitize(settings, READER_SETTING_KEYS);
+
+// глобальные + свои у книги (если есть)
+export const effectiveSettings = (global, bookSettings) => ({
+  ...global,
+  ...pickReaderSettings(bookSettings),
+});
+
+/* ---------- Пресеты: [{ name, settings }] ---------- */
+
+export const loadPresets = () => {
+  const list = readJson(PRESETS_STORAGE_KEY, []);
+  return Array.isArray(list)
+    ? list.filter((p) => p && typeof p.name === "string").map((p) => ({ name: p.name, settings: pickReaderSettings(p.settings) }))
+    : [];
+};
+
+export const savePresets = (presets) => writeJson(PRESETS_STORAGE_KEY, presets);
+
+// добавляет пресет или заменяет одноимённый
+export const upsertPreset = (presets, name, settings) => [
+  ...presets.filter((p) => p.name !== name),
+  { name, settings: pickReaderSettings(settings) },
+];
@@ -0,0 +1,192 @@
+/* =============================
+   Статистика чтения: запись сессий и сводки
+============================= */
+
+// короче этого сессию не сохраняем (случайный «Старт»)
+export const MIN_SESSION_MS = 5000;
+
+export const MODE_LABELS = {
+  chunk: "Фрагменты",
+  single: "Одно слово",
+  angle: "Угол зрения",
+  training: "Тренировка",
+};
+
+/**
+ * Трекер одной сессии чтения. Сессия начинается с первого «Старт»
+ * и длится до выхода из книги; паузы в активное время не входят,
+ * слова считаются только за время воспроизведения (перемотка не в счёт).
+ * setPlaying(active, mode, position) — при каждом пуске/паузе/смене режима.
+ * recordQuiz(correct, total) — итог проверки понимания внутри сессии.
+ * finish(position) — вернёт запись сессии или null (если читать почти не стали).
+ */
+export function createSessionTracker(book) {
+  let session = null;
+  let playingSince = null;
+  let segmentStart = 0; // позиция на момент последнего пуска
+  let mode = null;
+
+  const flush = (now, position) => {
+    if (playingSince == null) return;
+    const ms = now - playingSince;
+    session.activeMs += ms;
+    session.words += Math.max(0, position - segmentStart);
+    session.modeMs[mode] = (session.modeMs[mode] || 0) + ms;
+    playingSince = now;
+    segmentStart = position;
+  };
+
+  return {
+    setPlaying(active, nextMode, position) {
+      const now = Date.now();
+      if (active && !session) {
+        session = { startWord: position, startedAt: new Date(now).toISOString(), activeMs: 0, words: 0, modeMs: {}, quizCorrect: 0, quizTotal: 0 };
+      }
+      if (!session) return;
+      flush(now, position);
+      playingSince = active ? now : null;
+      segmentStart = position;
+      mode = nextMode;
+    },
+
+    recordQuiz(correct, total) {
+      if (!session) return;
+      session.quizCorrect += correct;
+      session.quizTotal += total;
+    },
+
+    finish(position) {
+      if (!session) return null;
+      const now = Date.now();
+      flush(now, position);
+      const { startWord, startedAt, activeMs, words, modeMs, quizCorrect, quizTotal } = session;
+      session = null;
+      playingSince = null;
+
+      if (activeMs < MIN_SESSION_MS || words === 0) return null;
+      // режим сессии — тот, в котором читали дольше всего
+      const mainMode = Object.entries(modeMs).sort((a, b) => b[1] - a[1])[0]?.[0] || "chunk";
+      return {
+        bookId: book.id,
+        bookTitle: book.title,
+        startWord,
+        endWord: position,
+        words,
+        activeMs,
+        wpm: averageWpm(words, activeMs),
+        mode: mainMode,
+        quizCorrect,
+        quizTotal,
+        startedAt,
+        endedAt: new Date(now).toISOString(),
+      };
+    },
+  };
+}
+
+/* ---------- Сводки ---------- */
+
+// локальная дата YYYY-MM-DD
+export function dayKey(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// YYYY-MM-DD → локальная полночь (new Date("YYYY-MM-DD") дал бы UTC)
+const fromDayKey = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// последние n дней (по возрастанию), включая сегодня
+export function lastDays(n, today = new Date()) {
+  const days = [];
+  for (let i = n - 1; i >= 0; i--) {
+    const d = new Date(today);
+    d.setDate(d.getDate() - i);
+    days.push(dayKey(d));
+  }
+  return days;
+}
+
+// { day: { words, activeMs } }
+export function totalsByDay(sessions) {
+  const byDay = {};
+  for (const s of sessions) {
+    const k = dayKey(s.startedAt);
+    const t = (byDay[k] ||= { words: 0, activeMs: 0 });
+    t.words += s.words;
+    t.activeMs += s.activeMs;
+  }
+  return byDay;
+}
+
+// серии дней подряд с чтением: текущая (вчера тоже считается) и самая длинная
+export function readingStreaks(sessions, today = new Date()) {
+  const days = new Set(sessions.map((s) => dayKey(s.startedAt)));
+  if (!days.size) return { current: 0, longest: 0 };
+
+  const sorted = [...days].sort();
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = fromDayKey(sorted[i - 1]);
+    prev.setDate(prev.getDate() + 1);
+    run = dayKey(prev) === sorted[i] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  const d = new Date(today);
+  if (!days.has(dayKey(d))) d.setDate(d.getDate() - 1);
+  while (days.has(dayKey(d))) {
+    current++;
+    d.setDate(d.getDate() - 1);
+  }
+  return { current, longest };
+}
+
+// средняя скорость = все слова / всё активное время
+export const averageWpm = (words, activeMs) =>
+  activeMs > 0 ? Math.round(words / (activeMs / 60000)) : 0;
+
+// понимание в процентах; null — проверок не было
+export const comprehensionPercent = (correct, total) =>
+  total > 0 ? Math.round((correct / total) * 100) : null;
+
+// итог проверок по списку сессий (в старых сессиях полей quiz* нет)
+export const sessionsComprehension = (sessions) =>
+  comprehensionPercent(
+    sessions.reduce((n, s) => n + (s.quizCorrect || 0), 0),
+    sessions.reduce((n, s) => n + (s.quizTotal || 0), 0)
+  );
+
+// [{ bookId, title, sessions, words, activeMs, wpm, comprehension }] по убыванию слов
+export function totalsByBook(sessions) {
+  const byBook = new Map();
+  for (const s of sessions) {
+    const t = byBook.get(s.bookId) || {
+      bookId: s.bookId,
+      title: s.bookTitle,
+      sessions: 0,
+      words: 0,
+      activeMs: 0,
+      quizCorrect: 0,
+      quizTotal: 0,
+    };
+    t.sessions += 1;
+    t.words += s.words;
+    t.activeMs += s.activeMs;
+    t.quizCorrect += s.quizCorrect || 0;
+    t.quizTotal += s.quizTotal || 0;
+    byBook.set(s.bookId, t);
+  }
+  return [...byBook.values()]
+    .map((t) => ({
+      ...t,
+      wpm: averageWpm(t.words, t.activeMs),
+      comprehension: comprehensionPercent(t.quizCorrect, t.quizTotal),
+    }))
+    .sort((a, b) => b.words - a.words);
+}
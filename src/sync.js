@@ -0,0 +1,258 @@
+/* =============================
+   Синхронизация библиотеки и позиций чтения между устройствами
+   Хранилище — один JSON-документ на сервере; адаптер умеет только
+   прочитать его (pull) и записать целиком (push):
+     { books: { [bookKey]: { title, author, wordCount, progress, updatedAt, deviceId } }, updatedAt }
+   Кто записал позже, тот и прав; если позицию изменили на обоих
+   устройствах с прошлой синхронизации — спрашиваем.
+   Запись — с If-Match по ETag прочитанного документа: если другое устройство
+   успело записать свой, читаем его заново и сводим ещё раз.
+============================= */
+import { db, STORES, bookKey } from "./db";
+
+export const SYNC_STORAGE_KEY = "speedreader-sync";
+
+export const DEFAULT_SYNC = {
+  enabled: false,
+  type: "http",
+  url: "",
+  token: "",    // http: Bearer-токен (необязательно)
+  username: "", // webdav
+  password: "",
+};
+
+/* ---------- Адаптеры ---------- */
+
+// браузер не отправляет keepalive-запрос с телом больше ~64 КБ
+const KEEPALIVE_MAX_BYTES = 60 * 1024;
+
+// документа не было — он и не должен появиться; был — должен остаться тем же.
+// Без ETag (или со слабым W/…) сервер сравнить не сможет — пишем без условия
+function writePrecondition({ doc, etag }) {
+  if (!doc) return { "If-None-Match": "*" };
+  return etag && !etag.startsWith("W/") ? { "If-Match": etag } : {};
+}
+
+// GET/PUT одного JSON-файла; 404 — документа ещё нет.
+// pull → { doc, etag }; push(doc, pulled) → { etag } записанного документа или
+// null, если документ на сервере успели изменить после pull (412) — тогда нужно
+// прочитать его заново
+function jsonFileAdapter(url, headers) {
+  return {
+    async pull() {
+      const res = await fetch(url, { headers, cache: "no-store" });
+      if (res.status === 404) return { doc: null, etag: null };
+      if (!res.ok) throw new Error(`Сервер ответил ${res.status}`);
+      return { doc: await res.json(), etag: res.headers.get("ETag") };
+    },
+    // keepalive — только для записи при закрытии/скрытии вкладки
+    async push(doc, pulled, { keepalive = false } = {}) {
+      const body = JSON.stringify(doc);
+      const res = await fetch(url, {
+        method: "PUT",
+        headers: {
+          ...headers,
+          "Content-Type": "application/json",
+          // не затираем запись другого устройства, сделанную после нашего pull
+          ...writePrecondition(pulled),
+        },
+        body,
+        keepalive: keepalive && new Blob([body]).size <= KEEPALIVE_MAX_BYTES,
+      });
+      if (res.status === 412) return null;
+      if (!res.ok) throw new Error(`Сервер ответил ${res.status}`);
+      return { etag: res.headers.get("ETag") };
+    },
+  };
+}
+
+export const SYNC_ADAPTERS = {
+  http: {
+    label: "HTTP (JSON)",
+    create: ({ url, token }) => jsonFileAdapter(url, token ? { Authorization: `Bearer ${token}` } : {}),
+  },
+  webdav: {
+    label: "WebDAV",
+    create: ({ url, username, password }) =>
+      jsonFileAdapter(url, username ? { Authorization: `Basic ${btoa(unescape(encodeURIComponent(`${username}:${password}`)))}` } : {}),
+  },
+};
+
+/* ---------- Настройки (localStorage) ---------- */
+
+export function loadSyncConfig() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY) || "{}");
+  } catch {
+    saved = {};
+  }
+  const config = { ...DEFAULT_SYNC, ...saved };
+  // id устройства — чтобы в вопросе о конфликте показать, откуда позиция
+  if (!config.deviceId) {
+    config.deviceId = crypto.randomUUID?.() || String(Math.random()).slice(2);
+    saveSyncConfig(config);
+  }
+  return config;
+}
+
+export const saveSyncConfig = (config) => localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(config));
+
+export const isSyncReady = (config) => config.enabled && !!config.url && !!SYNC_ADAPTERS[config.type];
+
+/* ---------- Синхронизация ---------- */
+
+const lastChange = (b) => b.updatedAt || b.createdAt || "";
+
+// запись книги в документе на сервере
+const remoteEntry = (book, config) => ({
+  title: book.title,
+  author: book.author || "",
+  wordCount: book.wordCount || 0,
+  progress: book.progress || 0,
+  updatedAt: lastChange(book),
+  deviceId: config.deviceId,
+});
+
+let running = Promise.resolve();
+
+// документ на сервере после последней синхронизации: { url, doc, etag } — от него
+// считается запись при закрытии вкладки (pushOnExit)
+let lastRemote = null;
+
+// сколько раз перечитываем документ, если его меняют одновременно с нами
+const MAX_PUSH_ATTEMPTS = 3;
+
+/**
+ * Одна синхронизация. resolveConflict({ book, remote }) → "local" | "remote"
+ * (может быть async); без него конфликтные книги пропускаются до следующего раза.
+ * Вызовы выстраиваются в очередь, параллельно не идут.
+ * Вернёт { pulled, pushed, conflicts, remoteOnly } — remoteOnly: книги,
+ * которых нет в этой библиотеке.
+ */
+export function syncLibrary(config, resolveConflict) {
+  const next = running.then(() => runSync(config, resolveConflict));
+  running = next.catch(() => {});
+  return next;
+}
+
+async function runSync(config, resolveConflict) {
+  const adapter = SYNC_ADAPTERS[config.type].create(config);
+  for (let attempt = 1; ; attempt++) {
+    const pulled = await adapter.pull();
+    const { result, books, pushed } = await mergeLibrary(config, pulled.doc || { books: {} }, resolveConflict);
+    if (!books) {
+      lastRemote = { url: config.url, ...pulled };
+      return result;
+    }
+    const doc = { books, updatedAt: new Date().toISOString() };
+    const written = await adapter.push(doc, pulled);
+    if (!written) {
+      if (attempt < MAX_PUSH_ATTEMPTS) continue;
+      throw new Error("Документ на сервере всё время меняется — попробуйте позже");
+    }
+    lastRemote = { url: config.url, doc, etag: written.etag };
+    // syncedAt отправленных книг — только когда запись точно легла на сервер
+    for (const [id, syncedAt] of pushed) await db.update(STORES.BOOKS, id, { syncedAt });
+    return result;
+  }
+}
+
+/**
+ * Запись при закрытии/скрытии вкладки. Ничего не читает (ни GET, ни базу —
+ * выгружаемая страница их не дождётся): к документу последней синхронизации
+ * добавляет позиции из books, которые новее записанных там, и сразу отправляет
+ * PUT с keepalive. Чужие изменения и конфликты — до следующей синхронизации.
+ * Вернёт true, если запрос ушёл.
+ */
+export function pushOnExit(config, books) {
+  if (!lastRemote || lastRemote.url !== config.url) return false;
+  const remoteBooks = { ...(lastRemote.doc?.books || {}) };
+  let changed = false;
+  for (const book of books) {
+    const key = bookKey(book);
+    const entry = remoteBooks[key];
+    if (entry && entry.updatedAt >= lastChange(book)) continue;
+    // позиция с другого устройства, которую мы ещё не видели, — не затираем
+    if (entry && entry.updatedAt > (book.syncedAt || "") && entry.deviceId !== config.deviceId) continue;
+    remoteBooks[key] = remoteEntry(book, config);
+    changed = true;
+  }
+  if (!changed) return false;
+
+  const doc = { books: remoteBooks, updatedAt: new Date().toISOString() };
+  const pulled = lastRemote;
+  SYNC_ADAPTERS[config.type]
+    .create(config)
+    .push(doc, pulled, { keepalive: true })
+    .then((written) => {
+      if (written && lastRemote === pulled) lastRemote = { url: config.url, doc, etag: written.etag };
+    })
+    .catch((e) => console.error("Не удалось записать позицию при выходе:", e));
+  return true;
+}
+
+/**
+ * Сводит локальную библиотеку с документом remote. Забранные позиции пишет
+ * в базу сразу; вернёт { result, books, pushed }: books — новый документ
+ * (null, если отправлять нечего), pushed — [[id книги, syncedAt]] для отправленных.
+ */
+async function mergeLibrary(config, remote, resolveConflict) {
+  const remoteBooks = { ...(remote.books || {}) };
+  const local = await db.getAll(STORES.BOOKS);
+  const result = { pulled: 0, pushed: 0, conflicts: 0, remoteOnly: [] };
+  const pushed = [];
+
+  const pushBook = (book) => {
+    remoteBooks[bookKey(book)] = remoteEntry(book, config);
+    result.pushed++;
+    pushed.push([book.id, lastChange(book)]);
+  };
+
+  const pullBook = (book, entry) => {
+    result.pulled++;
+    return db.update(STORES.BOOKS, book.id, {
+      progress: Math.min(entry.progress, Math.max(0, (book.wordCount || 1) - 1)),
+      updatedAt: entry.updatedAt,
+      syncedAt: entry.updatedAt,
+    });
+  };
+
+  for (const book of local) {
+    const entry = remoteBooks[bookKey(book)];
+    const mine = lastChange(book);
+    if (!entry) {
+      pushBook(book);
+      continue;
+    }
+    if (entry.updatedAt === mine || entry.progress === (book.progress || 0)) {
+      if (book.syncedAt !== entry.updatedAt) await db.update(STORES.BOOKS, book.id, { syncedAt: entry.updatedAt });
+      continue;
+    }
+
+    const synced = book.syncedAt || "";
+    const bothChanged = mine > synced && entry.updatedAt > synced && entry.deviceId !== config.deviceId;
+    if (bothChanged) {
+      result.conflicts++;
+      const choice = resolveConflict ? await resolveConflict({ book, remote: entry }) : null;
+      if (choice === "remote") await pullBook(book, entry);
+      else if (choice === "local") {
+        // своя позиция становится самой свежей, чтобы другие устройства её приняли
+        const now = new Date().toISOString();
+        await db.update(STORES.BOOKS, book.id, { updatedAt: now });
+        pushBook({ ...book, updatedAt: now });
+      }
+      continue;
+    }
+
+    if (entry.updatedAt > mine) await pullBook(book, entry);
+    else pushBook(book);
+  }
+
+  const localKeys = new Set(local.map(bookKey));
+  result.remoteOnly = Object.entries(remoteBooks)
+    .filter(([key]) => !localKeys.has(key))
+    .map(([, entry]) => entry);
+
+  return { result, books: pushed.length ? remoteBooks : null, pushed };
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const books = new Map();
+
+vi.mock("./db", async (importOriginal) => ({
+  ...(await importOriginal()),
+  db: {
+    getAll: async () => [...books.values()].map((b) => ({ ...b })),
+    update: async (_store, id, fields) => {
+      const updated = { ...books.get(id), ...fields };
+      books.set(id, updated);
+      return updated;
+    },
+  },
+}));
+
+const { SYNC_ADAPTERS, syncLibrary } = await import("./sync");
+
+// сервер в памяти: ETag — номер версии документа, запись поверх чужой — 412
+const server = { doc: null, version: 0, pulls: 0, beforePush: null };
+SYNC_ADAPTERS.test = {
+  create: () => ({
+    async pull() {
+      server.pulls++;
+      return { doc: server.doc && structuredClone(server.doc), etag: String(server.version) };
+    },
+    async push(doc, pulled) {
+      server.beforePush?.();
+      server.beforePush = null;
+      if (pulled.etag !== String(server.version)) return null;
+      server.doc = structuredClone(doc);
+      return { etag: String(++server.version) };
+    },
+  }),
+};
+
+const config = { enabled: true, type: "test", url: "mem://sync.json", deviceId: "here" };
+const T1 = "2026-01-01T00:00:00.000Z";
+const T2 = "2026-02-01T00:00:00.000Z";
+const T3 = "2026-03-01T00:00:00.000Z";
+const KEY = "Книга|Автор|1000";
+
+const addLocal = (fields) => books.set(1, { id: 1, title: "Книга", author: "Автор", wordCount: 1000, ...fields });
+const setRemote = (entry) => {
+  server.doc = { books: { [KEY]: { title: "Книга", author: "Автор", wordCount: 1000, ...entry } } };
+  server.version++;
+};
+
+beforeEach(() => {
+  books.clear();
+  Object.assign(server, { doc: null, version: 0, pulls: 0, beforePush: null });
+});
+
+describe("syncLibrary", () => {
+  it("позиция на сервере новее — забираем её", async () => {
+    addLocal({ progress: 10, updatedAt: T1, syncedAt: T1 });
+    setRemote({ progress: 500, updatedAt: T2, deviceId: "there" });
+
+    const result = await syncLibrary(config);
+
+    expect(result).toMatchObject({ pulled: 1, pushed: 0, conflicts: 0 });
+    expect(books.get(1)).toMatchObject({ progress: 500, updatedAt: T2, syncedAt: T2 });
+  });
+
+  it("своя позиция новее — отправляем и запоминаем syncedAt", async () => {
+    addLocal({ progress: 300, updatedAt: T2, syncedAt: T1 });
+    setRemote({ progress: 10, updatedAt: T1, deviceId: "here" });
+
+    const result = await syncLibrary(config);
+
+    expect(result).toMatchObject({ pulled: 0, pushed: 1, conflicts: 0 });
+    expect(server.doc.books[KEY]).toMatchObject({ progress: 300, updatedAt: T2, deviceId: "here" });
+    expect(books.get(1).syncedAt).toBe(T2);
+  });
+
+  it("позицию меняли на обоих устройствах — спрашиваем", async () => {
+    addLocal({ progress: 300, updatedAt: T2, syncedAt: T1 });
+    setRemote({ progress: 700, updatedAt: T3, deviceId: "there" });
+    const resolveConflict = vi.fn(async () => "remote");
+
+    const result = await syncLibrary(config, resolveConflict);
+
+    expect(resolveConflict).toHaveBeenCalledWith({
+      book: expect.objectContaining({ id: 1, progress: 300 }),
+      remote: expect.objectContaining({ progress: 700 }),
+    });
+    expect(result).toMatchObject({ pulled: 1, conflicts: 1 });
+    expect(books.get(1).progress).toBe(700);
+  });
+
+  it("без resolveConflict конфликтная книга остаётся как была", async () => {
+    addLocal({ progress: 300, updatedAt: T2, syncedAt: T1 });
+    setRemote({ progress: 700, updatedAt: T3, deviceId: "there" });
+
+    const result = await syncLibrary(config);
+
+    expect(result).toMatchObject({ pulled: 0, pushed: 0, conflicts: 1 });
+    expect(books.get(1).progress).toBe(300);
+    expect(server.doc.books[KEY].progress).toBe(700);
+  });
+
+  it("документ изменили между чтением и записью (412) — читаем заново и сводим ещё раз", async () => {
+    addLocal({ progress: 300, updatedAt: T2, syncedAt: T1 });
+    setRemote({ progress: 10, updatedAt: T1, deviceId: "here" });
+    // другое устройство успевает добавить свою книгу
+    server.beforePush = () => {
+      server.doc.books["Другая||5"] = { title: "Другая", author: "", wordCount: 5, progress: 2, updatedAt: T2, deviceId: "there" };
+      server.version++;
+    };
+
+    const result = await syncLibrary(config);
+
+    expect(server.pulls).toBe(2);
+    expect(result).toMatchObject({ pushed: 1 });
+    expect(Object.keys(server.doc.books).sort()).toEqual(["Другая||5", KEY]);
+    expect(server.doc.books[KEY].progress).toBe(300);
+    expect(books.get(1).syncedAt).toBe(T2);
+  });
+
+  it("книга ни разу не синхронизирована ни здесь, ни там — разные позиции считаются конфликтом", async () => {
+    addLocal({ progress: 300, createdAt: T1 });
+    setRemote({ progress: 700, updatedAt: T2, deviceId: "there" });
+    const resolveConflict = vi.fn(async () => "local");
+
+    const result = await syncLibrary(config, resolveConflict);
+
+    expect(resolveConflict).toHaveBeenCalledOnce();
+    expect(result).toMatchObject({ pushed: 1, conflicts: 1 });
+    expect(server.doc.books[KEY]).toMatchObject({ progress: 300, deviceId: "here" });
+    expect(books.get(1).updatedAt > T2).toBe(true);
+  });
+
+  it("книга ни разу не синхронизирована, но позиция та же — только отмечаем syncedAt", async () => {
+    addLocal({ progress: 700, createdAt: T1 });
+    setRemote({ progress: 700, updatedAt: T2, deviceId: "there" });
+    const resolveConflict = vi.fn();
+
+    const result = await syncLibrary(config, resolveConflict);
+
+    expect(resolveConflict).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ pulled: 0, pushed: 0, conflicts: 0 });
+    expect(books.get(1).syncedAt).toBe(T2);
+  });
+});
@@ -0,0 +1,94 @@
+/* =============================
+   Движок темпа: своя задержка для каждого слова
+   Длинные слова и знаки препинания получают больше времени,
+   короткие — меньше. Веса нормируются по всей книге, поэтому
+   средняя скорость равна выставленному WPM (настоящие слова в минуту).
+============================= */
+import { isSentenceEnd } from "./tokens";
+
+export const DEFAULT_TIMING = {
+  lengthFactor: 0.5,   // влияние длины слова (0 — все слова одинаковы)
+  commaPause: 0.5,     // доп. пауза после , ; : — (в долях «среднего слова»)
+  sentencePause: 1.5,  // после . ! ? …
+  paragraphPause: 2.5, // в конце абзаца
+};
+
+// Подписи и пределы для ползунков в настройках ридера
+export const TIMING_FIELDS = [
+  { key: "lengthFactor", label: "Длина слова", min: 0, max: 1.5, step: 0.1 },
+  { key: "commaPause", label: "Запятая", min: 0, max: 2, step: 0.1 },
+  { key: "sentencePause", label: "Конец предложения", min: 0, max: 4, step: 0.1 },
+  { key: "paragraphPause", label: "Конец абзаца", min: 0, max: 6, step: 0.1 },
+];
+
+const AVG_WORD_LETTERS = 6;
+const MIN_LENGTH_WEIGHT = 0.4;
+// знак препинания может стоять перед закрывающей кавычкой/скобкой
+const CLAUSE_END_RE = /[,;:]+["'»”)\]]*$/;
+const DASH_RE = /^[—–-]+$/;
+
+function wordWeight(word, settings, isParagraphEnd) {
+  const letters = word.replace(/[^\p{L}\p{N}]/gu, "").length || 1;
+  const lengthWeight = Math.max(
+    MIN_LENGTH_WEIGHT,
+    1 + settings.lengthFactor * ((letters - AVG_WORD_LETTERS) / AVG_WORD_LETTERS)
+  );
+
+  let pause = 0;
+  if (isParagraphEnd) pause = settings.paragraphPause;
+  else if (isSentenceEnd(word)) pause = settings.sentencePause;
+  else if (CLAUSE_END_RE.test(word) || DASH_RE.test(word)) pause = settings.commaPause;
+
+  return lengthWeight + pause;
+}
+
+/**
+ * Веса всех слов книги (не зависят от WPM — пересчитываются только при смене
+ * книги или коэффициентов).
+ * isParagraphEnd(i) — заканчивается ли абзац на слове i.
+ */
+export function createTimingEngine(words, settings = DEFAULT_TIMING, isParagraphEnd = () => false) {
+  const n = words.length;
+  const weights = new Float32Array(n);
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const w = wordWeight(words[i], settings, isParagraphEnd(i));
+    weights[i] = w;
+    sum += w;
+  }
+  const scale = n ? sum / n : 1;
+
+  // задержка (мс) показа слов [from, to) при скорости wpm
+  const rangeDelay = (from, to, wpm) => {
+    const msPerWord = 60000 / Math.max(1, wpm);
+    let total = 0;
+    for (let i = Math.max(0, from); i < Math.min(n, to); i++) total += weights[i];
+    return Math.max(1, Math.round((msPerWord * total) / scale));
+  };
+
+  return { rangeDelay };
+}
+
+/**
+ * Планировщик с поправкой на дрейф: каждый следующий шаг назначается
+ * от расчётного момента, а не от фактического срабатывания таймера.
+ * step() возвращает задержку до следующего шага (мс) или null — стоп.
+ * Вернёт функцию остановки.
+ */
+export function startTicker(firstDelay, step) {
+  let timer = null;
+  let nextAt = performance.now() + firstDelay;
+
+  const tick = () => {
+    const delay = step();
+    if (delay == null) return;
+    const now = performance.now();
+    // вкладка спала или таймер сильно опоздал — не догоняем рывком
+    if (now - nextAt > 1000) nextAt = now;
+    nextAt += delay;
+    timer = setTimeout(tick, Math.max(0, nextAt - now));
+  };
+
+  timer = setTimeout(tick, firstDelay);
+  return () => clearTimeout(timer);
+}
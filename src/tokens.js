@@ -0,0 +1,84 @@
+/* =============================
+   Модель токенов книги
+   Слова по-прежнему лежат массивом строк words (им пользуются темп,
+   поиск, вопросы и т. д.), а структура — параллельным массивом marks:
+   marks[i] — битовые флаги слова words[i] (см. TOKEN_FLAGS).
+   Импорт собирает их из блоков книги; для книг, импортированных раньше,
+   marks восстанавливаются из слов и оглавления (deriveMarks).
+============================= */
+export const TOKEN_FLAGS = {
+  SENTENCE_END: 1,  // последнее слово предложения
+  PARAGRAPH_END: 2, // последнее слово абзаца (блока)
+  DIALOGUE: 4,      // реплика: абзац начинается с тире или кавычки
+  EMPHASIS: 8,      // выделено в книге (курсив, жирный)
+};
+
+export const hasFlag = (mark, flag) => ((mark || 0) & flag) !== 0;
+
+// знак препинания может стоять перед закрывающей кавычкой/скобкой
+const SENTENCE_END_RE = /[.!?…]+["'»”)\]]*$/;
+
+// заканчивается ли на слове предложение (по пунктуации, без marks)
+export const isSentenceEnd = (word) => SENTENCE_END_RE.test(word);
+
+const DIALOGUE_START_RE = /^\s*[—–"«“„]/;
+
+/**
+ * Блоки книги → { words, marks }.
+ * block = { text, em? } — em: [[from, to)] — диапазоны символов text, выделенные в книге.
+ */
+export function tokenizeBlocks(blocks) {
+  const words = [];
+  const marks = [];
+  for (const { text, em = [] } of blocks) {
+    const dialogue = DIALOGUE_START_RE.test(text);
+    const first = words.length;
+    for (const m of text.matchAll(/\S+/g)) {
+      const from = m.index;
+      const to = from + m[0].length;
+      const word = m[0].replace(/[«»]/g, '"');
+      let mark = 0;
+      if (isSentenceEnd(word)) mark |= TOKEN_FLAGS.SENTENCE_END;
+      if (dialogue) mark |= TOKEN_FLAGS.DIALOGUE;
+      if (em.some(([a, b]) => a < to && b > from)) mark |= TOKEN_FLAGS.EMPHASIS;
+      words.push(word);
+      marks.push(mark);
+    }
+    if (words.length > first) marks[marks.length - 1] |= TOKEN_FLAGS.PARAGRAPH_END;
+  }
+  return { words, marks };
+}
+
+/**
+ * Флаги для книги без marks (импорт до появления модели): концы предложений
+ * по пунктуации, концы абзацев — только на границах глав. Реплик и выделений
+ * в таких книгах не восстановить — только повторным импортом.
+ */
+export function deriveMarks(words, toc = []) {
+  const marks = words.map((w) => (isSentenceEnd(w) ? TOKEN_FLAGS.SENTENCE_END : 0));
+  for (const ch of toc) {
+    if (ch.wordIndex > 0 && ch.wordIndex <= marks.length) marks[ch.wordIndex - 1] |= TOKEN_FLAGS.PARAGRAPH_END;
+  }
+  if (marks.length) marks[marks.length - 1] |= TOKEN_FLAGS.PARAGRAPH_END;
+  return marks;
+}
+
+/* ---------- Переходы по предложениям и абзацам ---------- */
+
+// конец абзаца — всегда и конец предложения (заголовки бывают без точки)
+export const SENTENCE_BOUNDARY = TOKEN_FLAGS.SENTENCE_END | TOKEN_FLAGS.PARAGRAPH_END;
+export const PARAGRAPH_BOUNDARY = TOKEN_FLAGS.PARAGRAPH_END;
+
+// начало следующего предложения/абзаца (flag — SENTENCE_BOUNDARY или PARAGRAPH_BOUNDARY)
+export function nextUnitStart(marks, pos, flag) {
+  let i = pos;
+  while (i < marks.length - 1 && !hasFlag(marks[i], flag)) i++;
+  return Math.min(i + 1, Math.max(0, marks.length - 1));
+}
+
+// начало текущего предложения/абзаца, а если мы уже в начале — предыдущего
+export function prevUnitStart(marks, pos, flag) {
+  let i = pos - 2;
+  while (i >= 0 && !hasFlag(marks[i], flag)) i--;
+  return Math.max(0, i + 1);
+}
@@ -0,0 +1,118 @@
+/* =============================
+   Программы тренировки «Угол зрения»
+   Программа задаёт диапазон расстояния между словами пары, шаг, частоту
+   шагов (каждые N пар), рост WPM и узор изменения расстояния.
+============================= */
+
+export const TRAINING_PATTERNS = [
+  { value: "pingpong", label: "Туда-обратно" },  // min → max → min …
+  { value: "linear", label: "По возрастанию" },  // min → max, затем снова с min
+  { value: "staircase", label: "Лесенка" },      // два шага вверх, один вниз
+  { value: "random", label: "Случайно" },        // любое значение из диапазона с шагом
+];
+
+// Встроенные программы (только для чтения; на их основе можно сохранить свою)
+export const TRAINING_PRESETS = [
+  {
+    id: "preset-standard",
+    name: "Стандартная",
+    pattern: "pingpong",
+    gapMin: 10,
+    gapMax: 550,
+    gapStep: 10,
+    everyPairs: 3, // каждые 3 пары (6 слов)
+    wpmStep: 0,
+    wpmMax: 1200,
+  },
+  {
+    id: "preset-stairs",
+    name: "Лесенка с разгоном",
+    pattern: "staircase",
+    gapMin: 40,
+    gapMax: 600,
+    gapStep: 20,
+    everyPairs: 4,
+    wpmStep: 5,
+    wpmMax: 600,
+  },
+  {
+    id: "preset-random",
+    name: "Случайная ширина",
+    pattern: "random",
+    gapMin: 50,
+    gapMax: 500,
+    gapStep: 25,
+    everyPairs: 2,
+    wpmStep: 0,
+    wpmMax: 1200,
+  },
+];
+
+export const DEFAULT_PROGRAM = TRAINING_PRESETS[0];
+
+export const isPreset = (program) => String(program.id).startsWith("preset-");
+
+// Поля редактора: подписи и пределы
+export const PROGRAM_FIELDS = [
+  { key: "gapMin", label: "Мин. расстояние, px", min: 0, max: 1200, step: 10 },
+  { key: "gapMax", label: "Макс. расстояние, px", min: 0, max: 1200, step: 10 },
+  { key: "gapStep", label: "Шаг, px", min: 1, max: 200, step: 1 },
+  { key: "everyPairs", label: "Шаг каждые N пар", min: 1, max: 50, step: 1 },
+  { key: "wpmStep", label: "Прибавка WPM за шаг", min: 0, max: 50, step: 1 },
+  { key: "wpmMax", label: "Потолок WPM", min: 60, max: 1200, step: 10 },
+];
+
+// приводит поля к допустимым значениям (min ≤ max и т. п.)
+export function normalizeProgram(program) {
+  const p = { ...program };
+  for (const { key, min, max } of PROGRAM_FIELDS) {
+    const v = Number(p[key]);
+    p[key] = Math.max(min, Math.min(max, Number.isFinite(v) ? Math.round(v) : min));
+  }
+  if (p.gapMax < p.gapMin) [p.gapMin, p.gapMax] = [p.gapMax, p.gapMin];
+  if (!TRAINING_PATTERNS.some((t) => t.value === p.pattern)) p.pattern = DEFAULT_PROGRAM.pattern;
+  p.name = (p.name || "").trim() || "Без названия";
+  return p;
+}
+
+// начальное состояние тренировки
+export const startTraining = (program) => ({ gap: program.gapMin, dir: 1, stepIndex: 0 });
+
+/**
+ * Следующий шаг расстояния по узору программы.
+ * state = { gap, dir, stepIndex } → новое состояние.
+ */
+export function nextTrainingStep(program, state, rand = Math.random) {
+  const { gapMin, gapMax, gapStep, pattern } = program;
+  const clampGap = (g) => Math.max(gapMin, Math.min(gapMax, g));
+  const stepIndex = state.stepIndex + 1;
+
+  switch (pattern) {
+    case "linear": {
+      const gap = state.gap >= gapMax ? gapMin : Math.min(gapMax, state.gap + gapStep);
+      return { gap, dir: 1, stepIndex };
+    }
+    case "staircase": {
+      // у потолка остаёмся на нём
+      const dir = stepIndex % 3 === 0 ? -1 : 1;
+      const gap = state.gap >= gapMax ? gapMax : clampGap(state.gap + dir * gapStep);
+      return { gap, dir, stepIndex };
+    }
+    case "random": {
+      const steps = Math.floor((gapMax - gapMin) / gapStep);
+      return { gap: gapMin + Math.floor(rand() * (steps + 1)) * gapStep, dir: 1, stepIndex };
+    }
+    default: {
+      // pingpong
+      let dir = state.dir;
+      let gap = state.gap + dir * gapStep;
+      if (gap >= gapMax) { gap = gapMax; dir = -1; }
+      else if (gap <= gapMin) { gap = gapMin; dir = 1; }
+      return { gap, dir, stepIndex };
+    }
+  }
+}
+
+// WPM после шага с учётом разгона программы (выше потолка сами не снижаем)
+export const rampWpm = (program, wpm) =>
+  program.wpmStep > 0 && wpm < program.wpmMax ? Math.min(program.wpmMax, wpm + program.wpmStep) : wpm;
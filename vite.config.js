@@ -1,8 +1,53 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import fs from 'node:fs';
+import { createHash } from 'node:crypto';
+
+// sw.js из src/serviceWorker.js со списком всех файлов сборки и public/
+function serviceWorker() {
+  const template = 'src/serviceWorker.js';
+  const placeholder = 'const BUILD = { version: "dev", base: "/", files: [] };';
+  let config;
+  return {
+    name: 'speedreader-service-worker',
+    apply: 'build',
+    enforce: 'post',                    // после плагина html — нужен index.html
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256');
+      const files = [];
+      for (const [fileName, item] of Object.entries(bundle)) {
+        if (fileName.endsWith('.map')) continue;
+        files.push(fileName);
+        hash.update(fileName).update(item.type === 'chunk' ? item.code : item.source);
+      }
+      if (config.publicDir && fs.existsSync(config.publicDir)) {
+        for (const fileName of fs.readdirSync(config.publicDir)) {
+          files.push(fileName);
+          hash.update(fileName).update(fs.readFileSync(`${config.publicDir}/${fileName}`));
+        }
+      }
+
+      const source = fs.readFileSync(template, 'utf8');
+      if (!source.includes(placeholder)) throw new Error(`${template}: не найдена строка BUILD`);
+      const build = {
+        version: hash.digest('hex').slice(0, 12),
+        base: config.base,
+        files: [config.base, ...files.map((f) => config.base + f)],
+      };
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace(placeholder, `const BUILD = ${JSON.stringify(build)};`),
+      });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   resolve: {
     alias: {
       util: 'util/',                    // полифилл util
@@ -13,9 +58,12 @@ export default defineConfig({
     },
   },
   define: {
-    global: 'window',
+    global: 'globalThis',               // window нет внутри воркера импорта
     'process.env': {},                  // чтобы обращения к process.env не падали
   },
+  worker: {
+    format: 'es',                       // воркер импорта создаётся с { type: 'module' }
+  },
   optimizeDeps: {
     include: ['util', 'events', 'buffer', 'process', 'stream-browserify'],
   },